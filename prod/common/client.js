@@ -0,0 +1,162 @@
+/**
+ * Resilient ElasticSearch Client
+ * Wraps an ElasticSearch client so that every API call is retried on transient failures, and
+ * classifies errors so callers can decide what to do with a failed record. Shared by the indexer
+ * & search services.
+ *
+ *   const es = client.resilient(new ES.Client({..., maxRetries: 0}), log);
+ *   es.indices.create({...}); // Same API, retried with jittered exponential backoff
+ *
+ * Errors are classified as:
+ *
+ *   retryable - 429, 5xx, and connection failures & timeouts. Worth retrying later.
+ *   permanent - Any other 4xx, e.g. a mapping error, and anything that isn't an HTTP or connection failure,
+ *               e.g. a TypeError building a document. Retrying the same request will fail the same way.
+ *   conflict  - 409, e.g. a version conflict. The stored document is newer, so there is nothing to do.
+ *
+ * A 404 on `delete` is treated as success, as the document is already gone. Retryable errors that mean
+ * the cluster can't be reached at all, e.g. during maintenance, are also reported by `isUnavailable()`.
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Retry policy:
+const MAX_RETRIES = 3;    // Retries after the first attempt
+const BASE_DELAY  = 100;  // Delay cap of the first retry, in milliseconds, doubled on each retry
+const MAX_DELAY   = 2000; // Delay cap of any retry, in milliseconds
+
+// Client namespaces whose methods are wrapped, in addition to the top-level methods. The transport
+// is wrapped for raw requests the client's API spec lacks, e.g. typeless mapping requests:
+const NAMESPACES = ['cat', 'cluster', 'indices', 'ingest', 'nodes', 'snapshot', 'tasks', 'transport'];
+
+// Methods that are never retried, as a retry could repeat work already started:
+const NOT_RETRIED = ['reindex'];
+
+// Network error codes & ES client error names of connection failures:
+const CONNECTION_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+                           'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'ConnectionFault', 'NoConnections', 'RequestTimeout'];
+
+/**
+ * Classifies an error, or a failed bulk item.
+ *
+ * @param  {*}      error - The rejection: an ES client error, a request error, an HTTP response, or a string.
+ * @return {string}       - `retryable` | `permanent` | `conflict`
+ */
+function classify(error) {
+  const status = error && typeof error === 'object' ? (error.status || error.statusCode) : null;
+  if (status === 409) return 'conflict';
+  if (status === 429 || status >= 500) return 'retryable';
+  if (status >= 400) return 'permanent';
+  if (isConnectionError(error)) return 'retryable';
+  return 'permanent'; // Programming errors & thrown strings, which would fail the same way on every retry
+}
+
+/**
+ * Checks if an error is a connection failure rather than an error response.
+ *
+ * @param  {*}       error - The rejection.
+ * @return {boolean}       - True for connection resets, refusals & timeouts.
+ */
+function isConnectionError(error) {
+  return !!error && typeof error === 'object' &&
+    (CONNECTION_ERRORS.indexOf(error.code) !== -1 || CONNECTION_ERRORS.indexOf(error.constructor.name) !== -1);
+}
+
+/**
+ * Checks if an error means the cluster is unavailable, rather than that it rejected the request.
+ *
+ * @param  {*}       error - The rejection, or the error of a failed bulk item.
+ * @return {boolean}       - True for connection failures, and 502, 503 & 504 responses.
+ */
+function isUnavailable(error) {
+  if (isConnectionError(error)) return true;
+  const status = error && typeof error === 'object' ? (error.status || error.statusCode) : null;
+  return status === 502 || status === 503 || status === 504;
+}
+
+/**
+ * Gets the delay before a retry, with full jitter: a random delay up to an exponentially growing cap.
+ *
+ * @param  {number} attempt - The number of retries so far.
+ * @return {number}         - The delay in milliseconds.
+ */
+function backoff(attempt) {
+  return Math.floor(Math.random() * Math.min(MAX_DELAY, BASE_DELAY * Math.pow(2, attempt)));
+}
+
+/**
+ * @param    {number} ms - The time to wait, in milliseconds.
+ * @return   {Promise}
+ * @fulfills {undefined}   Once the time has passed.
+ */
+function sleep(ms) {
+  return new Promise(fulfill => setTimeout(fulfill, ms));
+}
+
+/**
+ * Performs a request, retrying retryable failures with backoff.
+ *
+ * @param    {string}   name    - The API method name, e.g. `indices.create`.
+ * @param    {function} request - Function that performs the request, returning its promise.
+ * @param    {Logger}   log     - The logger to log retries with.
+ * @param    {number}   attempt - The number of retries so far.
+ * @return   {Promise.<*,Error>}
+ * @fulfills {*}                  The ES response.
+ * @rejects  {Error}              The last ES Error.
+ */
+function retry(name, request, log, attempt) {
+  return request().catch(e => {
+    if (name === 'delete' && (e.status || e.statusCode) === 404) return e.body || {result: 'not_found'};
+    if (NOT_RETRIED.indexOf(name) !== -1 || classify(e) !== 'retryable' || attempt >= MAX_RETRIES) return Promise.reject(e);
+    const delay = backoff(attempt);
+    log.warn('Retrying ElasticSearch request', {request: name, attempt: attempt + 1, delay: delay, connection: isConnectionError(e), error: e});
+    return sleep(delay).then(() => retry(name, request, log, attempt + 1));
+  });
+}
+
+/**
+ * Wraps the API methods of a client, or of one of its namespaces.
+ *
+ * @param  {object} target - The client or namespace.
+ * @param  {string} prefix - The namespace prefix of the method names, e.g. `indices.`.
+ * @param  {Logger} log    - The logger to log retries with.
+ * @return {object}        - The wrapped methods, by name.
+ */
+function wrap(target, prefix, log) {
+  const wrapped = {};
+  for (let proto = target; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Object.getOwnPropertyNames(proto).forEach(name => {
+      if (wrapped[name] || name === 'constructor' || name.charAt(0) === '_' || typeof target[name] !== 'function') return;
+      wrapped[name] = params => retry(prefix + name, () => target[name](params), log, 0);
+    });
+  }
+  return wrapped;
+}
+
+/**
+ * Wraps an ElasticSearch client, so that its API calls are retried on transient failures.
+ * Only the promise form of the API is supported. Disable the client's own retries with
+ * `maxRetries: 0`, as they retry immediately, without backoff.
+ *
+ * @param  {object} es  - The ElasticSearch client.
+ * @param  {Logger} log - The logger to log retries with.
+ * @return {object}     - The wrapped client, with the same API.
+ */
+function resilient(es, log) {
+  const wrapped = wrap(es, '', log);
+  NAMESPACES.forEach(namespace => {
+    if (es[namespace]) wrapped[namespace] = wrap(es[namespace], namespace + '.', log);
+  });
+  return wrapped;
+}
+
+//** Expose the Client Wrapper & Helpers **//
+module.exports = {
+  resilient:     resilient,
+  classify:      classify,
+  isUnavailable: isUnavailable,
+  backoff:       backoff,
+  sleep:         sleep,
+  MAX_RETRIES:   MAX_RETRIES
+};
@@ -0,0 +1,137 @@
+/**
+ * Structured JSON Logger
+ * Writes log entries as single JSON lines, so that a record can be traced through the token fetch,
+ * the content fetch and the ES write by its correlation IDs. Shared by the indexer & search services.
+ *
+ * Every entry contains a timestamp, level, message and stage, plus the context of the logger it
+ * was written with. Child loggers carry their context through every call they are passed to:
+ *
+ *   const log = logger.child({requestId: context.awsRequestId});
+ *   log.child({eventId: record.eventID, site: site, id: id, contentType: 'videos'}).info('Indexing');
+ *
+ *   {"timestamp":"...","level":"info","message":"Indexing","stage":"prod","requestId":"...","eventId":"...",...}
+ *
+ * OPTIONAL ENVIRONMENT VARIABLES
+ *  LOG_LEVEL - The minimum level to log: debug, info, warn or error. Defaults to info.
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Log levels, by severity:
+const LEVELS = {debug: 10, info: 20, warn: 30, error: 40};
+
+class Logger {
+
+  /**
+   * Constructor
+   *
+   * @param {object} context - Fields included in every entry written by this logger.
+   */
+  constructor(context) {
+    this.context = context || {};
+    this.level   = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+  }
+
+  /**
+   * Creates a child logger, which includes this logger's context plus its own.
+   *
+   * @param  {object} context - Additional fields, e.g. site, id, contentType or eventId.
+   * @return {Logger}         - The child logger.
+   */
+  child(context) {
+    return new Logger(Object.assign({}, this.context, context));
+  }
+
+  debug(message, data) { this._write('debug', message, data); }
+  info(message, data)  { this._write('info',  message, data); }
+  warn(message, data)  { this._write('warn',  message, data); }
+  error(message, data) { this._write('error', message, data); }
+
+  /**
+   * Creates a log class for the ElasticSearch client, so that its errors & warnings are
+   * written as JSON lines with this logger's context, instead of as free-form text.
+   *
+   * @return {function} The ElasticSearch client `log` class.
+   */
+  esLog() {
+    const log = this;
+    return function ElasticSearchLog(config) {
+      this.error   = e => log.error('ElasticSearch client error', {error: e});
+      this.warning = message => log.warn(message);
+      this.info    = () => {};
+      this.debug   = () => {};
+      this.trace   = () => {};
+      this.close   = () => {};
+    };
+  }
+
+  /**
+   * Converts a rejection into a JSON compatible object.
+   * Rejections may be Errors, strings, or raw API/ES responses.
+   *
+   * @param  {*}      error - The rejection.
+   * @return {object}       - The serialized error.
+   */
+  serializeError(error) {
+    if (error instanceof Error) {
+      return {message: error.message, status: error.status || error.statusCode || null, stack: error.stack};
+    } else if (error && typeof error === 'object' && error.statusCode) {
+      return {message: 'Request failed with status ' +error.statusCode, status: error.statusCode, body: error.body || null};
+    } else {
+      return {message: String(error), status: null};
+    }
+  }
+
+  /**
+   * Writes a log entry to stdout as a JSON line.
+   *
+   * The timestamp, level, message & stage are assigned last, so that context or data fields
+   * with the same names can't overwrite them.
+   *
+   * @param {string} level   - The log level.
+   * @param {string} message - The log message.
+   * @param {object} data    - Optional fields for this entry. An `error` field is serialized.
+   */
+  _write(level, message, data) {
+    if (LEVELS[level] < this.level) return;
+    const core  = {
+      timestamp : new Date().toISOString(),
+      level     : level,
+      message   : message,
+      stage     : process.env.STAGE || null
+    };
+    const entry = Object.assign({}, core, this.context, data, core);
+    if (data && data.error !== undefined) entry.error = this.serializeError(data.error);
+    console.log(this._stringify(entry, core));
+  }
+
+  /**
+   * Serializes a log entry, so that logging never throws. Nested Errors are serialized, and
+   * circular references are replaced with `[Circular]`. An entry that still can't be serialized
+   * (e.g. one containing a BigInt) is written with only its core fields & the serialization error.
+   *
+   * @param  {object} entry - The log entry.
+   * @param  {object} core  - The core fields of the entry.
+   * @return {string}       - The JSON line.
+   */
+  _stringify(entry, core) {
+    const self      = this;
+    const ancestors = []; // Objects on the path from the entry to the value being serialized
+    try {
+      return JSON.stringify(entry, function(key, value) {
+        if (value instanceof Error) value = self.serializeError(value);
+        if (typeof value !== 'object' || value === null) return value;
+        while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+        if (ancestors.indexOf(value) !== -1) return '[Circular]';
+        ancestors.push(value);
+        return value;
+      });
+    } catch (e) {
+      return JSON.stringify(Object.assign({}, core, {logError: self.serializeError(e)}));
+    }
+  }
+}
+
+//** Expose the Root Logger **//
+module.exports = new Logger();
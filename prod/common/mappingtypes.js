@@ -0,0 +1,88 @@
+/**
+ * Mapping Types
+ * Builds version-aware requests, as ElasticSearch 7+ & OpenSearch removed mapping types. The
+ * cluster's ES_VERSION decides whether requests name the `content` mapping type:
+ *
+ *   6.2, 6.x           - Typed: documents, bulk items, searches & mappings use the `content` type.
+ *   7.10, opensearch   - Typeless: documents are addressed as `_doc`, everything else has no type.
+ *
+ * OpenSearch clusters are given as `opensearch`, optionally with their version, e.g. `opensearch-2.11`.
+ * The index template (template.json) is written with the `content` type, and converted to typeless
+ * mappings for typeless clusters.
+ *
+ * The client library only has API specs up to 6.x, so typeless clusters are spoken to with the 6.x
+ * spec, whose typeless requests are compatible.
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// The mapping type of typed clusters, and the document endpoint of typeless clusters:
+const TYPE     = 'content';
+const DOC_TYPE = '_doc';
+
+// The client API version used for typeless clusters:
+const TYPELESS_API_VERSION = '6.x';
+
+class MappingTypes {
+
+  /**
+   * Constructor
+   *
+   * @param {string} version - The ES_VERSION of the cluster, e.g. `6.2`, `7.10` or `opensearch-2.11`.
+   */
+  constructor(version) {
+    const major     = parseInt(String(version), 10);
+    this.typeless   = /^opensearch/i.test(String(version)) || major >= 7;
+    this.apiVersion = this.typeless ? TYPELESS_API_VERSION : version; // The client `apiVersion`
+  }
+
+  /**
+   * Adds the type to the params of a single document request, e.g. `index`, `get` or `delete`.
+   *
+   * @param  {object} params - The request params.
+   * @return {object}        - The params, with the `type`.
+   */
+  doc(params) {
+    return Object.assign(params, {type: this.typeless ? DOC_TYPE : TYPE});
+  }
+
+  /**
+   * Adds the type to the params of a request that can span documents, e.g. `search` or `putMapping`,
+   * on typed clusters only.
+   *
+   * @param  {object} params - The request params.
+   * @return {object}        - The params, with the `type` if typed.
+   */
+  params(params) {
+    if (!this.typeless) params.type = TYPE;
+    return params;
+  }
+
+  /**
+   * Adds the type to the metadata of a `_bulk` item, on typed clusters only.
+   *
+   * @param  {object} meta - The item metadata, e.g. `{_index: 'snagfilms_write', _id: '1234-abcd'}`.
+   * @return {object}      - The metadata, with the `_type` if typed.
+   */
+  meta(meta) {
+    if (!this.typeless) meta._type = TYPE;
+    return meta;
+  }
+
+  /**
+   * Converts mappings to the cluster's format, nesting them under the `content` type when typed.
+   *
+   * @param  {object} mappings - Typed `{content: {properties: {...}}}` or typeless `{properties: {...}}` mappings.
+   * @return {object}          - The mappings in the cluster's format.
+   */
+  mappings(mappings) {
+    const typed = !mappings.properties;
+    if (this.typeless) return typed ? mappings[TYPE] : mappings;
+    return typed ? mappings : {[TYPE]: mappings};
+  }
+
+}
+
+//** Expose this MappingTypes Class **//
+module.exports = MappingTypes;
@@ -0,0 +1,30 @@
+/**
+ * Article Content Type Definition
+ * Articles are indexed from the ARTICLE table, with data retrieved from the VL API.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+module.exports = {
+  name:     'articles',
+  aliases:  ['article'],
+  table:    'ARTICLE',
+  builder:  'articles',
+  api:      {path: '/content/article'},
+  isType:   image => true,
+  isOpen:   image => (image.contentStatus ? image.contentStatus.S : null) === 'open',
+  mappings: {
+    articleTitle:           field.text(),
+    articleDescription:     field.text(),
+    articleAuthor:          field.text(),
+    articlePrimaryCategory: field.sortableText(),
+    articleCategories:      field.names(),
+    articleTags:            field.names()
+  },
+  search: {
+    type:   'article',
+    fields: ['articleTitle^2', 'articleAuthor', 'articlePrimaryCategory', 'articleCategories.name', 'articleTags.name'],
+    sort:   'publishDate'
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Audio Content Type Definition
+ * Audio is indexed from the AUDIO table, with data retrieved from the VL API.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+module.exports = {
+  name:     'audio',
+  aliases:  [],
+  table:    'AUDIO',
+  builder:  'audio',
+  api:      {path: '/content/audio'},
+  isType:   image => (image.contentType ? image.contentType.S : null) === 'AUDIO',
+  isOpen:   image => (image.contentStatus ? image.contentStatus.S : null) === 'open',
+  mappings: {
+    audioTitle:           field.text(),
+    audioDescription:     field.text(),
+    audioAuthor:          field.text(),
+    audioPrimaryCategory: field.sortableText(),
+    audioCategories:      field.names(),
+    audioTags:            field.names(),
+    audioPeople:          field.people()
+  },
+  search: {
+    type:   'audio',
+    fields: ['audioTitle^2', 'audioAuthor', 'audioPrimaryCategory', 'audioCategories.name', 'audioTags.name', 'audioPeople.name'],
+    people: 'audioPeople',
+    sort:   'publishDate'
+  }
+};
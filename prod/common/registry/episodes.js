@@ -0,0 +1,36 @@
+/**
+ * Episode Content Type Definition
+ * Episodes are indexed from the SERIES table, directly from the DynamoDB image, as rows with an
+ * `objectType` of `EPISODE`. Episode documents are linked to their series by `seriesId` & to their
+ * season by `seasonId`, and link their title into their series' `seriesEpisodes`.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+module.exports = {
+  name:     'episodes',
+  aliases:  ['episode'],
+  table:    'SERIES',
+  builder:  'episodes',
+  isType:   image => (image.objectType ? image.objectType.S : '').toUpperCase() === 'EPISODE',
+  isOpen:   image => (image.showDetails ? (image.showDetails.M.status ? image.showDetails.M.status.S : null) : null) === 'open',
+  mappings: {
+    episodeTitle:           field.text(),
+    episodeDescription:     field.text(),
+    episodePrimaryCategory: field.sortableText(),
+    episodeCategories:      field.names(),
+    episodePeople:          field.people(),
+    episodeTags:            field.names(),
+    seriesId:               field.keyword(),
+    seasonId:               field.keyword(),
+    seasonNumber:           field.integer(),
+    episodeNumber:          field.integer()
+  },
+  search: {
+    type:   'episode',
+    fields: ['episodeTitle^2', 'episodePrimaryCategory', 'episodeCategories.name', 'episodePeople.name', 'episodeTags.name'],
+    people: 'episodePeople',
+    sort:   'publishDate'
+  }
+};
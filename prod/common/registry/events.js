@@ -0,0 +1,46 @@
+/**
+ * Event Content Type Definition
+ * Events are indexed from the EVENT table, with data retrieved from the VL API.
+ * Events are sorted by their next upcoming schedule date, soonest first, then events with no upcoming dates.
+ * Indices created before the schedule was nested map it as plain objects, which nested queries & sorts fail on,
+ * so they are searched with a flat filter, and sorted by their earliest schedule date, past or upcoming.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+// Schedule entries dated from today:
+const UPCOMING = {range: {'eventSchedule.eventDate': {gte: 'now/d'}}};
+
+module.exports = {
+  name:     'events',
+  aliases:  ['event'],
+  table:    'EVENT',
+  builder:  'events',
+  api:      {path: '/content/event'},
+  isType:   image => (image.contentType ? image.contentType.S : null) === 'EVENT',
+  isOpen:   image => (image.contentStatus ? image.contentStatus.S : null) === 'open',
+  mappings: {
+    eventTitle:           field.text(),
+    eventDescription:     field.text(),
+    eventPrimaryCategory: field.sortableText(),
+    eventCategories:      field.names(),
+    eventTags:            field.names(),
+    eventSchedule:        field.schedule(),
+    eventVenue:           field.keyword(),
+    eventTime:            field.keyword(),
+    eventDate:            field.date()
+  },
+  search: {
+    type:     'event',
+    extra:    ['eventSchedule.venue'],
+    fields:   ['eventTitle^2', 'eventPrimaryCategory', 'eventCategories.name', 'eventTags.name', 'eventSchedule.venue'],
+    upcoming: mapping => mapping.nested('eventSchedule') ? {nested: {path: 'eventSchedule', query: UPCOMING}} : UPCOMING,
+    sort:     mapping => ({'eventSchedule.eventDate': Object.assign({
+      order:         'asc',
+      mode:          'min',
+      missing:       '_last',
+      unmapped_type: 'date'
+    }, mapping.nested('eventSchedule') ? {nested: {path: 'eventSchedule', filter: UPCOMING}} : {})})
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Content Type Registry
+ * Single source of truth for every content type that is indexed & searched. The indexer handler
+ * routes tables with it, the index template (index/shared/templates.js) is built from it, and the Search
+ * class builds its queries from it.
+ *
+ * Adding a content type means adding a content class to the indexer's `content/` that builds its documents,
+ * and registering a definition for it here, nothing else. A content type definition declares:
+ *
+ *  name     - The content type name, also the name accepted by search `types`.
+ *  aliases  - Additional names accepted by search `types`, e.g. the singular name.
+ *  table    - The source DynamoDB table, without the `<STAGE>.CONTENT.` prefix.
+ *  builder  - The module of its content class, relative to the indexer's `content/` (see index/content/index.js).
+ *  api      - Optional VL API source, for types built from VL API data (see ViewLift.getContent()): the content
+ *             `path`, the query `param` of the ID (defaults to `id`), and if the response wraps them in `records`.
+ *  isType   - Predicate, returns true if a raw DynamoDB image is of this content type.
+ *  isOpen   - Predicate, returns true if a raw DynamoDB image has an indexable (open) status.
+ *  mappings - The mapping fragment for this type's document fields, merged into template.json.
+ *  search   - The search query config: the document `type`, `fields` to match, optional `filter`, and
+ *             `sort` field or sort clause, the optional `people` field, for searches restricted to people
+ *             of a role, the optional `upcoming` filter, for searches restricted to upcoming content, and
+ *             the optional `extra` fields matched by the cross-type query besides the unified fields.
+ *             The `sort` & `upcoming` filter can also be functions of the live index mapping (see
+ *             Search._mapping()), e.g. to only use nested queries on indices where the field is nested.
+ *
+ * Content classes also add the unified cross-type fields mapped by template.json, e.g. `title` & `tags`,
+ * copied from their prefixed fields, e.g. `videoTitle` & `videoTags` (see Index.unified()). Name the
+ * prefixed fields of a new type alike, so its documents can be searched & ranked with every other type.
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const template = require('../template'); // Base index settings & shared mappings
+
+class Registry {
+
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.definitions = [];
+  }
+
+  /**
+   * Registers a content type definition.
+   *
+   * @param  {object}   definition - The content type definition.
+   * @return {Registry}            - This registry, for chaining.
+   */
+  register(definition) {
+    ['name', 'table', 'builder', 'isType', 'isOpen', 'mappings', 'search'].forEach(key => {
+      if (!definition[key]) throw 'Content type definition missing ' +key +'.';
+    });
+    if (this.get(definition.name)) throw 'Content type ' +definition.name +' already registered.';
+    this.definitions.push(Object.assign({aliases: []}, definition));
+    return this;
+  }
+
+  /**
+   * Gets all registered content type definitions, in registration order.
+   *
+   * @return {array} Array of content type definitions.
+   */
+  all() {
+    return this.definitions.slice();
+  }
+
+  /**
+   * Gets a content type definition by name or alias.
+   *
+   * @param  {string}      name - The content type name or alias, case insensitive.
+   * @return {object|null}      - The content type definition, or null if not registered.
+   */
+  get(name) {
+    name = String(name).toLowerCase();
+    return this.definitions.find(definition => definition.name === name || definition.aliases.indexOf(name) !== -1) || null;
+  }
+
+  /**
+   * Gets the content type definition for a source table. A table can source several content types,
+   * e.g. the SERIES table holds series, seasons & episodes, told apart by their `isType` predicate.
+   *
+   * @param  {string}      table - The table name, without the `<STAGE>.CONTENT.` prefix.
+   * @param  {object}      image - Optional raw DynamoDB image, to pick the content type of the table it is of.
+   * @return {object|null}       - The content type definition of the image, else the first sourced from the table,
+   *                               or null if no type is sourced from the table.
+   */
+  byTable(table, image) {
+    const definitions = this.definitions.filter(definition => definition.table === table);
+    return (image && definitions.find(definition => definition.isType(image))) || definitions[0] || null;
+  }
+
+  /**
+   * Builds the complete index template, merging the mapping fragments
+   * of every registered content type into the base template.
+   *
+   * @return {object} The index settings & mappings.
+   */
+  template() {
+    const _template = JSON.parse(JSON.stringify(template)); // Copy, so the base template is never modified
+    this.definitions.forEach(definition => {
+      Object.assign(_template.mappings.content.properties, definition.mappings);
+    });
+    return _template;
+  }
+
+}
+
+//** Register Content Types **//
+const registry = new Registry()
+  .register(require('./videos'))
+  .register(require('./series'))
+  .register(require('./seasons'))
+  .register(require('./episodes'))
+  .register(require('./articles'))
+  .register(require('./events'))
+  .register(require('./audio'))
+  .register(require('./photos'));
+
+//** Expose the Registry **//
+module.exports = registry;
@@ -0,0 +1,109 @@
+/**
+ * Mapping Field Helpers
+ * Shorthands for the field mappings shared by content type mapping fragments.
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+/**
+ * A full-text field, analyzed for prefix (search-as-you-type) matching.
+ *
+ * @return {object} The field mapping.
+ */
+function text() {
+  return {
+    type:            'text',
+    analyzer:        'edge_ngram_analyzer',
+    search_analyzer: 'keyword_analyzer'
+  };
+}
+
+/**
+ * A full-text field with an additional `sort` keyword sub-field.
+ *
+ * @return {object} The field mapping.
+ */
+function sortableText() {
+  return Object.assign(text(), {fields: {sort: {type: 'keyword'}}});
+}
+
+/**
+ * An array of objects with a full-text `name`, e.g. categories, tags or people.
+ *
+ * @return {object} The field mapping.
+ */
+function names() {
+  return {properties: {name: text()}};
+}
+
+/**
+ * An array of people, with a full-text `name` & keyword `role`. Nested, so a name & role can be
+ * matched on the same person, and also copied into the parent document for plain name matching.
+ *
+ * @return {object} The field mapping.
+ */
+function people() {
+  return {type: 'nested', include_in_parent: true, properties: {name: text(), role: keyword()}};
+}
+
+/**
+ * An array of schedule entries, with a full-text `venue`, keyword `eventTime` & `eventDate` date.
+ * Nested, so an entry's venue & date can be matched together, and also copied into the parent
+ * document for plain venue matching.
+ *
+ * @return {object} The field mapping.
+ */
+function schedule() {
+  return {type: 'nested', include_in_parent: true, properties: {venue: text(), eventTime: keyword(), eventDate: date()}};
+}
+
+/**
+ * An array of linked documents, by keyword `id`, with a full-text `name`, e.g. the episodes of a series.
+ * Entries are kept up to date by link operations (see Index.linkOp()), which stamp their `streamVersion`.
+ *
+ * @return {object} The field mapping.
+ */
+function linked() {
+  return {properties: {id: keyword(), name: text(), streamVersion: {type: 'long'}}};
+}
+
+/**
+ * A keyword field, for exact matching & filtering.
+ *
+ * @return {object} The field mapping.
+ */
+function keyword() {
+  return {type: 'keyword'};
+}
+
+/**
+ * An integer field, e.g. a season or episode number.
+ *
+ * @return {object} The field mapping.
+ */
+function integer() {
+  return {type: 'integer'};
+}
+
+/**
+ * A date field.
+ *
+ * @return {object} The field mapping.
+ */
+function date() {
+  return {type: 'date'};
+}
+
+//** Expose Mapping Helpers **//
+module.exports = {
+  text:         text,
+  sortableText: sortableText,
+  names:        names,
+  people:       people,
+  schedule:     schedule,
+  linked:       linked,
+  keyword:      keyword,
+  integer:      integer,
+  date:         date
+};
@@ -0,0 +1,30 @@
+/**
+ * Photo Content Type Definition
+ * Photo galleries are indexed from the PHOTOGALLERY table, with data retrieved from the VL API.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+module.exports = {
+  name:     'photos',
+  aliases:  ['photo'],
+  table:    'PHOTOGALLERY',
+  builder:  'photos',
+  api:      {path: '/content/photogallery'},
+  isType:   image => (image.contentType ? image.contentType.S : null) === 'IMAGE',
+  isOpen:   image => (image.contentStatus ? image.contentStatus.S : null) === 'open',
+  mappings: {
+    photoTitle:           field.text(),
+    photoDescription:     field.text(),
+    photoAuthor:          field.text(),
+    photoPrimaryCategory: field.sortableText(),
+    photoCategories:      field.names(),
+    photoTags:            field.names()
+  },
+  search: {
+    type:   'photo',
+    fields: ['photoTitle^2', 'photoAuthor', 'photoPrimaryCategory', 'photoCategories.name', 'photoTags.name'],
+    sort:   'publishDate'
+  }
+};
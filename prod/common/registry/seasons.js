@@ -0,0 +1,31 @@
+/**
+ * Season Content Type Definition
+ * Seasons are indexed from the SERIES table, directly from the DynamoDB image, as rows with an
+ * `objectType` of `SEASON`. Season documents are linked to their series by `seriesId`.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+module.exports = {
+  name:     'seasons',
+  aliases:  ['season'],
+  table:    'SERIES',
+  builder:  'seasons',
+  isType:   image => (image.objectType ? image.objectType.S : '').toUpperCase() === 'SEASON',
+  isOpen:   image => (image.showDetails ? (image.showDetails.M.status ? image.showDetails.M.status.S : null) : null) === 'open',
+  mappings: {
+    seasonTitle:           field.text(),
+    seasonDescription:     field.text(),
+    seasonPrimaryCategory: field.sortableText(),
+    seasonCategories:      field.names(),
+    seasonTags:            field.names(),
+    seriesId:              field.keyword(),
+    seasonNumber:          field.integer()
+  },
+  search: {
+    type:   'season',
+    fields: ['seasonTitle^2', 'seasonPrimaryCategory', 'seasonCategories.name', 'seasonTags.name'],
+    sort:   'publishDate'
+  }
+};
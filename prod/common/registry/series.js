@@ -0,0 +1,33 @@
+/**
+ * Series Content Type Definition
+ * Series are indexed from the SERIES table, directly from the DynamoDB image.
+ * Series documents carry the titles of their episodes as `seriesEpisodes`, see episodes.js.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+module.exports = {
+  name:     'series',
+  aliases:  [],
+  table:    'SERIES',
+  builder:  'series',
+  isType:   image => !image.objectType, // Only index series that have no objectType defined
+  isOpen:   image => (image.showDetails ? (image.showDetails.M.status ? image.showDetails.M.status.S : null) : null) === 'open',
+  mappings: {
+    seriesTitle:           field.text(),
+    seriesDescription:     field.text(),
+    seriesPrimaryCategory: field.sortableText(),
+    seriesCategories:      field.names(),
+    seriesPeople:          field.people(),
+    seriesTags:            field.names(),
+    seriesEpisodes:        field.linked()
+  },
+  search: {
+    type:   'series',
+    extra:  ['seriesEpisodes.name'],
+    fields: ['seriesTitle^2', 'seriesPrimaryCategory', 'seriesCategories.name', 'seriesPeople.name', 'seriesTags.name', 'seriesEpisodes.name'],
+    people: 'seriesPeople',
+    sort:   'publishDate'
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Video Content Type Definition
+ * Videos are indexed from the CONTENT_METADATA table, with data retrieved from the VL API.
+ * Episode videos carry their series title, season & episode numbers, so a search for a show finds its episodes.
+ */
+
+// Load Dependencies:
+const field = require('./mappings'); // Mapping field helpers
+
+module.exports = {
+  name:     'videos',
+  aliases:  ['video'],
+  table:    'CONTENT_METADATA',
+  builder:  'videos',
+  api:      {path: '/content/videos', param: 'ids', records: true},
+  isType:   image => (image.objectKey ? image.objectKey.S : null) === 'video',
+  isOpen:   image => (image.status ? image.status.S : null) === 'open',
+  mappings: {
+    videoTitle:           field.text(),
+    videoDescription:     field.text(),
+    videoPrimaryCategory: field.sortableText(),
+    videoCategories:      field.names(),
+    videoPeople:          field.people(),
+    videoTags:            field.names(),
+    videoSeriesId:        field.keyword(),
+    videoSeriesTitle:     field.text(),
+    videoSeasonNumber:    field.integer(),
+    videoEpisodeNumber:   field.integer(),
+    isTrailer:            field.keyword(),
+    free:                 field.keyword(),
+    year:                 field.keyword(),
+    parentalRating:       field.keyword()
+  },
+  search: {
+    type:   'video',
+    extra:  ['videoSeriesTitle'],
+    fields: ['videoTitle^2', 'videoPrimaryCategory', 'videoCategories.name', 'videoPeople.name', 'videoTags.name', 'videoSeriesTitle'],
+    people: 'videoPeople',
+    filter: [{term: {'isTrailer': false}}],
+    sort:   'publishDate'
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * People Roles
+ * Normalizes the credit block titles of content, e.g. "Starring" or "Directed By", into the role
+ * indexed with each person, so that people can be searched by role. Shared by the indexer & search
+ * services, so that a role given to search is normalized the same way.
+ *
+ *   role('Directed By') // 'director'
+ *   role('Narrator')    // 'narrator', titles without a known role are indexed as given, lower-cased
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Known roles, and the credit block titles they are given under:
+const ROLES = {
+  actor:    ['actor', 'actors', 'actress', 'cast', 'starring', 'stars', 'featuring'],
+  director: ['director', 'directors', 'directed by'],
+  host:     ['host', 'hosts', 'hosted by', 'presenter', 'presenters', 'presented by'],
+  producer: ['producer', 'producers', 'produced by', 'executive producer', 'executive producers'],
+  writer:   ['writer', 'writers', 'written by', 'screenplay', 'screenplay by']
+};
+
+/**
+ * Gets the role of the people credited under a credit block title.
+ *
+ * @param  {string}      title - The credit block title, or a role.
+ * @return {string|null}       - The role, or null if there is no title.
+ */
+function role(title) {
+  const _title = String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!_title) return null;
+  return Object.keys(ROLES).find(name => ROLES[name].indexOf(_title) !== -1) || _title;
+}
+
+//** Expose Role Helpers **//
+module.exports = {
+  role: role
+};
@@ -10,14 +10,16 @@
  *
  * @requires api.js
  * @requires index.js
+ * @requires elasticsearch_common/logger
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 2.0.0
  */
 
 // Load Dependencies:
-const API   = require('../shared/api');   // Import ViewLift API Class
-const Index = require('../shared/index'); // Import the parent Index class
+const API    = require('../shared/api');               // Import ViewLift API Class
+const Index  = require('../shared/index');             // Import the parent Index class
+const logger = require('elasticsearch_common/logger'); // Structured JSON logger
 
 /**
  * Performs indexing operations for article documents.
@@ -40,39 +42,31 @@ class Articles extends Index {
   }
 
   /**
-   * Removes or Inserts an article document into an index specified by site.
+   * Prepares the operation to remove or insert an article document into an index specified by site.
    *
-   * @param    {string} action - `insert` | `remove` - insert or remove the doc.
+   * @param    {string} action - `INSERT` | `REMOVE` - insert or remove the doc.
    * @param    {string} site   - The site the article belongs to, also the name of the index.
    * @param    {string} id     - The ID of the article to insert, or the ID of the document to remove.
-   * @return   {Promise.<boolean,Error>}
-   * @fulfills {boolean} - True on success
-   * @rejects  {Error}   - Error on fail
+   * @param    {object} image  - The raw DynamoDB image (unused, documents are built from VL API data).
+   * @param    {Logger} log    - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object} - The operation to write
+   * @rejects  {Error}  - Error preparing the document
    */
-  index(action, site, id) {
+  prepare(action, site, id, image, log = logger) {
     const self = this;
-    return new Promise((fulfill, reject) => {     
+    return new Promise((fulfill, reject) => {
       //** Insert/Modify Document **//
       if (action === 'INSERT') {
-        self._prepareDocument(site, id)             // Create the article document to insert..
+        self._prepareDocument(site, id, log)   // Create the article document to insert..
           .then(doc => {
-            self.insert(site, id, doc)  // Insert the document..
-              .then(success => {
-                fulfill(true);                      // Document successfully inserted!
-            }).catch(e => {
-              reject(e);                            // Error inserting document!
-            });
+            fulfill({action: action, index: site, id: id, doc: doc});
         }).catch(e => {
-          reject(e);                                // Error preparing document!
-        });      
+          reject(e);                          // Error preparing document!
+        });
       //** Remove Document **//
       } else if (action === 'REMOVE') {
-        self.remove(site, id)           // Remove the document
-          .then(success => {
-            fulfill(true);                          // Document successfully removed!
-        }).catch(e => {
-          reject(e);                                // Error removing document!
-        });
+        fulfill({action: action, index: site, id: id});
       }
     });
   }
@@ -82,15 +76,16 @@ class Articles extends Index {
    * 
    * @param    {string} site - The site associated with the article.
    * @param    {string} id   - The article ID.
+   * @param    {Logger} log  - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<object,Error>} 
    * @fulfills {object}          The document body object.
    * @rejects  {Error}           A VL API Error.
    */   
-  _prepareDocument(site, id) {
+  _prepareDocument(site, id, log = logger) {
     const self = this;
     return new Promise((fulfill, reject) => {
       // Get Article Data from API:
-      self.api.getArticle(site, id)
+      self.api.getContent('articles', site, id, log)
         .then(article => {
           // Define & Build Document Body:
           const doc = {
@@ -105,7 +100,7 @@ class Articles extends Index {
             data                   : article
           };
           // Fulfill with article document:
-          fulfill(doc);
+          fulfill(self.unified('article', doc));
       }).catch(e => {
         reject(e);
       });
@@ -10,14 +10,18 @@
  *
  * @requires api.js
  * @requires index.js
+ * @requires elasticsearch_common/logger
+ * @requires elasticsearch_common/roles
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 2.0.0
  */
 
 // Load Dependencies:
-const API   = require('../shared/api');   // Import ViewLift API Class
-const Index = require('../shared/index'); // Import the parent Index class
+const API    = require('../shared/api');                   // Import ViewLift API Class
+const Index  = require('../shared/index');                 // Import the parent Index class
+const logger = require('elasticsearch_common/logger');     // Structured JSON logger
+const role   = require('elasticsearch_common/roles').role; // Credit block title to people role
 
 /**
  * Performs indexing operations for audio documents.
@@ -40,39 +44,31 @@ class Audio extends Index {
   }
 
   /**
-   * Removes or Inserts an audio document into an index specified by site.
+   * Prepares the operation to remove or insert an audio document into an index specified by site.
    *
-   * @param    {string} action - `insert` | `remove` - insert or remove the doc.
+   * @param    {string} action - `INSERT` | `REMOVE` - insert or remove the doc.
    * @param    {string} site   - The site the audio belongs to, also the name of the index.
    * @param    {string} id     - The ID of the audio to insert, or the ID of the document to remove.
-   * @return   {Promise.<boolean,Error>}
-   * @fulfills {boolean} - True on success
-   * @rejects  {Error}   - Error on fail
+   * @param    {object} image  - The raw DynamoDB image (unused, documents are built from VL API data).
+   * @param    {Logger} log    - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object} - The operation to write
+   * @rejects  {Error}  - Error preparing the document
    */
-  index(action, site, id) {
+  prepare(action, site, id, image, log = logger) {
     const self = this;
-    return new Promise((fulfill, reject) => {     
+    return new Promise((fulfill, reject) => {
       //** Insert/Modify Document **//
       if (action === 'INSERT') {
-        self._prepareDocument(site, id)             // Create the audio document to insert..
+        self._prepareDocument(site, id, log)   // Create the audio document to insert..
           .then(doc => {
-            self.insert(site, id, doc)              // Insert the document..
-              .then(success => {
-                fulfill(true);                      // Document successfully inserted!
-            }).catch(e => {
-              reject(e);                            // Error inserting document!
-            });
+            fulfill({action: action, index: site, id: id, doc: doc});
         }).catch(e => {
-          reject(e);                                // Error preparing document!
-        });      
+          reject(e);                          // Error preparing document!
+        });
       //** Remove Document **//
       } else if (action === 'REMOVE') {
-        self.remove(site, id)                       // Remove the document
-          .then(success => {
-            fulfill(true);                          // Document successfully removed!
-        }).catch(e => {
-          reject(e);                                // Error removing document!
-        });
+        fulfill({action: action, index: site, id: id});
       }
     });
   }
@@ -82,15 +78,16 @@ class Audio extends Index {
    * 
    * @param    {string} site    - The site associated with the audio.
    * @param    {string} id      - The audio ID.
+   * @param    {Logger} log     - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<object,Error>} 
    * @fulfills {object}          The document body object.
    * @rejects  {Error}           A VL API Error.
    */   
-  _prepareDocument(site, id) {
+  _prepareDocument(site, id, log = logger) {
     const self = this;
     return new Promise((fulfill, reject) => {
       // Get audio Data from API:
-      self.api.getAudio(site, id)
+      self.api.getContent('audio', site, id, log)
         .then(audio => {
           // Define & Build Document Body:
           delete audio.streamingInfo; // Remove streaming info from audio data.
@@ -107,7 +104,7 @@ class Audio extends Index {
             data                 : audio
           };
           // Fulfill with audio document:
-          fulfill(doc);
+          fulfill(self.unified('audio', doc));
       }).catch(e => {
         reject(e);
       });
@@ -132,17 +129,18 @@ class Audio extends Index {
   /**
    * Parses the `creditBlocks` field returned from API and
    * prepares an array of objects containing the name of each
-   * actor and directors found in the `creditBlocks`.
+   * actor and director found in the `creditBlocks`, with their role
+   * taken from the title of their credit block (see elasticsearch_common/roles.js).
    *
    * @param  {array} creditBlocks - The creditBlocks array returned from API.
-   * @return {array} Array of objects containing name of each actor/director.
+   * @return {array} Array of objects containing the name & role of each actor/director.
    */
   _definePeople(creditBlocks) {
     const people = [];
     creditBlocks.forEach(block => {
       if (block.credits) {
         block.credits.forEach(credit => {
-          people.push({name: credit.title});
+          people.push({name: credit.title, role: role(block.title)});
         });
       }
     });
@@ -0,0 +1,118 @@
+/**
+ * Indexes Episodes
+ * Episodes are rows of the SERIES table with an `objectType` of `EPISODE`, indexed as their own
+ * documents, linked to their series & season by their `seriesId` & `seasonId` attributes. Indexed
+ * like series, directly from the DynamoDB image (see series.js).
+ *
+ * Each episode also links its title into its series' `seriesEpisodes` (see Index.linkOp()), so a
+ * search for an episode's title finds its series too. Removing an episode, or moving it to another
+ * series, unlinks it.
+ *
+ * REQUIRED ENVIRONMENT VARIABLES
+ *  AWS_REGION  - The AWS Region, available by default by Lambda.
+ *  STAGE       - The development stage (dev, staging, prod).
+ *  ES_ENDPOINT - The URL endpoint to the ElasticSearch cluster.
+ *  ES_VERSION  - The version of ElasticSearch used on our cluster.
+ *
+ * @requires series.js
+ * @requires elasticsearch_common/logger
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const Series             = require('./series');                                          // Import the parent Series class
+const logger             = require('elasticsearch_common/logger');                       // Structured JSON logger
+
+/**
+ * Performs indexing operations for episode documents.
+ * This class is called to either insert or remove an episode document from a given index,
+ * linking or unlinking it in its series.
+ */
+class Episodes extends Series {
+
+  /**
+   * Prepares the operation to remove or insert an episode document into an index specified by site,
+   * with the links of the episode in its series.
+   *
+   * @param    {string} action   - `INSERT` | `REMOVE` - insert or remove the doc.
+   * @param    {string} site     - The site the episode belongs to, also the name of the index.
+   * @param    {string} id       - The ID of the episode to insert, or the ID of the document to remove.
+   * @param    {object} image    - The raw DynamoDB episode image.
+   * @param    {Logger} log      - Optional logger, carrying the correlation context of the caller.
+   * @param    {object} oldImage - Optional, the raw DynamoDB episode image before a MODIFY.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object} - The operation to write, with its `links`
+   * @rejects  {Error}  - Error preparing the document
+   */
+  prepare(action, site, id, image, log = logger, oldImage) {
+    const self = this;
+    return super.prepare(action, site, id, image, log, oldImage)
+      .then(op => {
+        const episode  = self._prepareDocument(image);
+        const previous = oldImage ? self._prepareDocument(oldImage) : null;
+        const links    = [];
+        //** Unlink from the Previous Series, if Moved **//
+        if (previous && previous.seriesId && previous.seriesId !== episode.seriesId) {
+          links.push(self.linkOp(site, previous.seriesId, 'seriesEpisodes', id, null));
+        }
+        //** Link into (or Unlink from) the Series **//
+        if (episode.seriesId) {
+          links.push(self.linkOp(site, episode.seriesId, 'seriesEpisodes', id, action === 'REMOVE' ? null : {id: id, name: episode.episodeTitle}));
+        }
+        return Object.assign(op, {links: links});
+    });
+  }
+
+  /**
+   * Episodes have no fields to propagate.
+   *
+   * @param  {object} op - The operation on the episode document.
+   * @return {object}    - The operation, without links.
+   */
+  _propagated(op) {
+    return op;
+  }
+
+  /**
+   * Episodes have no related fields to read from the index.
+   *
+   * @return   {Promise.<object>}
+   * @fulfills {object}            No related fields.
+   */
+  _related() {
+    return Promise.resolve({});
+  }
+
+  /**
+   * Prepare the episode document for indexing, from the DynamoDB image.
+   *
+   * @param    {object} image - The raw DynamoDB episode image.
+   * @return   {object}       - Formatted document object for indexing.
+   */
+  _prepareDocument(image) {
+    const item = this._translate(image); // Convert DynamoDB image JSON to standard JSON
+    const doc = {
+      type                   : 'episode',
+      episodeTitle           : item.gist.title,
+      episodeDescription     : item.gist.description,
+      episodePrimaryCategory : item.gist.primaryCategory ? (Object.keys(item.gist.primaryCategory).length !== 0 ? item.gist.primaryCategory.title : null) : null,
+      episodeCategories      : item.categories ? (item.categories.length > 0 ? this._defineCategories(item.categories) : null) : null,
+      episodePeople          : item.creditBlocks ? (item.creditBlocks.length > 0 ? this._definePeople(item.creditBlocks) : null) : null,
+      episodeTags            : item.tags ? (item.tags.length > 0 ? this._defineTags(item.tags) : null) : null,
+      seriesId               : item.seriesId || null,
+      seasonId               : item.seasonId || null,
+      seasonNumber           : item.seasonNumber !== undefined ? item.seasonNumber : null,
+      episodeNumber          : item.episodeNumber !== undefined ? item.episodeNumber : null,
+      status                 : item.showDetails ? item.showDetails.status : null,
+      publishDate            : item.gist.publishDate,
+      data                   : item
+    };
+    return this.unified('episode', doc);
+  }
+
+}
+
+//** Expose this Episodes Class **//
+module.exports = Episodes;
@@ -1,5 +1,8 @@
 /**
  * Indexes Events
+ * Every entry of an event's schedule is indexed as `eventSchedule`, nested so that an entry's venue,
+ * date & time match together. `eventVenue`, `eventTime` & `eventDate` hold the next upcoming entry
+ * as of indexing, or the last entry once every date has passed.
  *
  * REQUIRED ENVIRONMENT VARIABLES
  *  AWS_REGION  - The AWS Region, available by default by Lambda.
@@ -10,14 +13,16 @@
  *
  * @requires api.js
  * @requires index.js
+ * @requires elasticsearch_common/logger
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 2.0.0
  */
 
 // Load Dependencies:
-const API   = require('../shared/api');   // Import ViewLift API Class
-const Index = require('../shared/index'); // Import the parent Index class
+const API    = require('../shared/api');               // Import ViewLift API Class
+const Index  = require('../shared/index');             // Import the parent Index class
+const logger = require('elasticsearch_common/logger'); // Structured JSON logger
 
 /**
  * Performs indexing operations for event documents.
@@ -40,39 +45,31 @@ class Events extends Index {
   }
 
   /**
-   * Removes or Inserts an event document into an index specified by site.
+   * Prepares the operation to remove or insert an event document into an index specified by site.
    *
-   * @param    {string} action - `insert` | `remove` - insert or remove the doc.
+   * @param    {string} action - `INSERT` | `REMOVE` - insert or remove the doc.
    * @param    {string} site   - The site the event belongs to, also the name of the index.
    * @param    {string} id     - The ID of the event to insert, or the ID of the document to remove.
-   * @return   {Promise.<boolean,Error>}
-   * @fulfills {boolean} - True on success
-   * @rejects  {Error}   - Error on fail
+   * @param    {object} image  - The raw DynamoDB image (unused, documents are built from VL API data).
+   * @param    {Logger} log    - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object} - The operation to write
+   * @rejects  {Error}  - Error preparing the document
    */
-  index(action, site, id) {
+  prepare(action, site, id, image, log = logger) {
     const self = this;
-    return new Promise((fulfill, reject) => {     
+    return new Promise((fulfill, reject) => {
       //** Insert/Modify Document **//
       if (action === 'INSERT') {
-        self._prepareDocument(site, id)           // Create the event document to insert..
+        self._prepareDocument(site, id, log)   // Create the event document to insert..
           .then(doc => {
-            self.insert(site, id, doc)  // Insert the document..
-              .then(success => {
-                fulfill(true);                    // Document successfully inserted!
-            }).catch(e => {
-              reject(e);                          // Error inserting document!
-            });
+            fulfill({action: action, index: site, id: id, doc: doc});
         }).catch(e => {
-          reject(e);                              // Error preparing document!
-        });      
+          reject(e);                          // Error preparing document!
+        });
       //** Remove Document **//
       } else if (action === 'REMOVE') {
-        self.remove(site, id)           // Remove the document
-          .then(success => {
-            fulfill(true);                        // Document successfully removed!
-        }).catch(e => {
-          reject(e);                              // Error removing document!
-        });
+        fulfill({action: action, index: site, id: id});
       }
     });
   }
@@ -82,17 +79,20 @@ class Events extends Index {
    * 
    * @param    {string} site - The site associated with the event.
    * @param    {string} id   - The event ID.
+   * @param    {Logger} log  - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<object,Error>} 
    * @fulfills {object}          The document body object.
    * @rejects  {Error}           A VL API Error.
    */   
-  _prepareDocument(site, id) {
+  _prepareDocument(site, id, log = logger) {
     const self = this;
     return new Promise((fulfill, reject) => {
       // Get Event Data from API:
-      self.api.getEvent(site, id)
+      self.api.getContent('events', site, id, log)
         .then(event => {
           // Define & Build Document Body:
+          const schedule = event.gist.eventSchedule ? (event.gist.eventSchedule.length > 0 ? self._defineSchedule(event.gist.eventSchedule) : null) : null;
+          const next     = schedule ? self._nextScheduled(schedule) : null;
           const doc = {
             type                 : 'event',
             eventTitle           : event.gist.title,
@@ -100,13 +100,14 @@ class Events extends Index {
             eventPrimaryCategory : event.gist.primaryCategory ? (Object.keys(event.gist.primaryCategory).length !== 0 ? event.gist.primaryCategory.title : null) : null,
             eventCategories      : event.categories ? (event.categories.length > 0 ? self._defineCategories(event.categories) : null) : null,
             eventTags            : event.tags ? (event.tags.length > 0 ? self._defineTags(event.tags) : null) : null,
-            eventVenue           : event.gist.eventSchedule ? (event.gist.eventSchedule.length > 0 ? event.gist.eventSchedule[0].venue : null) : null,
-            eventTime            : event.gist.eventSchedule ? (event.gist.eventSchedule.length > 0 ? event.gist.eventSchedule[0].eventTime : null) : null,
-            eventDate            : event.gist.eventSchedule ? (event.gist.eventSchedule.length > 0 ? event.gist.eventSchedule[0].eventDate : null) : null,
+            eventSchedule        : schedule,
+            eventVenue           : next ? next.venue : null,
+            eventTime            : next ? next.eventTime : null,
+            eventDate            : next ? next.eventDate : null,
             data                 : event
           };
           // Fulfill with event document:
-          fulfill(doc);
+          fulfill(self.unified('event', doc));
       }).catch(e => {
         reject(e);
       });
@@ -143,6 +144,47 @@ class Events extends Index {
     return _tags;
   }
 
+  /**
+   * Parses the `eventSchedule` field returned from API and
+   * prepares an array of objects containing the venue, time & date of each entry.
+   *
+   * @param  {array} schedule - The eventSchedule array returned from API.
+   * @return {array} Array of objects containing the venue, time & date of each entry.
+   */
+  _defineSchedule(schedule) {
+    const _schedule = [];
+    schedule.forEach(entry => {
+      _schedule.push({venue: entry.venue || null, eventTime: entry.eventTime || null, eventDate: entry.eventDate || null});
+    });
+    return _schedule;
+  }
+
+  /**
+   * Finds the next upcoming schedule entry, i.e. the earliest entry dated today or later.
+   *
+   * @param  {array}       schedule - The schedule entries, see `_defineSchedule()`.
+   * @return {object|null}          - The next upcoming entry, else the last dated entry, or null if none are dated.
+   */
+  _nextScheduled(schedule) {
+    const self  = this;
+    const today = new Date().setUTCHours(0, 0, 0, 0);
+    const dated = schedule.filter(entry => !isNaN(self._time(entry.eventDate)))
+      .sort((a, b) => self._time(a.eventDate) - self._time(b.eventDate));
+    return dated.find(entry => self._time(entry.eventDate) >= today) || dated[dated.length - 1] || null;
+  }
+
+  /**
+   * Gets the time of a schedule date, given as a date string, or as epoch milliseconds like ES reads numbers.
+   *
+   * @param  {string|number} date - The schedule date, e.g. `2018-04-01` or `1522540800000`.
+   * @return {number}             - The time in epoch milliseconds, or NaN if it isn't a date.
+   */
+  _time(date) {
+    if (typeof date === 'number') return date;
+    if (typeof date === 'string' && /^\d+$/.test(date)) return parseInt(date, 10);
+    return Date.parse(date);
+  }
+
 }
 
 //** Expose this Events Class **//
@@ -0,0 +1,28 @@
+/**
+ * Content Classes
+ * The content class of each content type in the registry (see elasticsearch_common/registry), by
+ * content type name. Each builds the documents of its content type & indexes them, and is loaded
+ * from the `builder` module its content type definition declares, so there is no list to keep here.
+ *
+ * @requires elasticsearch_common/registry
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const registry = require('elasticsearch_common/registry'); // Content type registry
+
+// Load the content class of every registered content type:
+const classes = {};
+registry.all().forEach(definition => {
+  try {
+    classes[definition.name] = require('./' +definition.builder);
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND' || e.message.indexOf('./' +definition.builder) === -1) throw e;
+    throw 'No content class ' +definition.builder +' for content type ' +definition.name +'.';
+  }
+});
+
+//** Expose the Content Classes **//
+module.exports = classes;
@@ -0,0 +1,75 @@
+/**
+ * Indexes Seasons
+ * Seasons are rows of the SERIES table with an `objectType` of `SEASON`, indexed as their own
+ * documents, linked to their series by its `seriesId` attribute. Indexed like series, directly
+ * from the DynamoDB image (see series.js).
+ *
+ * REQUIRED ENVIRONMENT VARIABLES
+ *  AWS_REGION  - The AWS Region, available by default by Lambda.
+ *  STAGE       - The development stage (dev, staging, prod).
+ *  ES_ENDPOINT - The URL endpoint to the ElasticSearch cluster.
+ *  ES_VERSION  - The version of ElasticSearch used on our cluster.
+ *
+ * @requires series.js
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const Series             = require('./series');                                          // Import the parent Series class
+
+/**
+ * Performs indexing operations for season documents.
+ * This class is called to either insert or remove a season document from a given index.
+ */
+class Seasons extends Series {
+
+  /**
+   * Seasons have no fields to propagate.
+   *
+   * @param  {object} op - The operation on the season document.
+   * @return {object}    - The operation, without links.
+   */
+  _propagated(op) {
+    return op;
+  }
+
+  /**
+   * Seasons have no related fields to read from the index.
+   *
+   * @return   {Promise.<object>}
+   * @fulfills {object}            No related fields.
+   */
+  _related() {
+    return Promise.resolve({});
+  }
+
+  /**
+   * Prepare the season document for indexing, from the DynamoDB image.
+   *
+   * @param    {object} image - The raw DynamoDB season image.
+   * @return   {object}       - Formatted document object for indexing.
+   */
+  _prepareDocument(image) {
+    const item = this._translate(image); // Convert DynamoDB image JSON to standard JSON
+    const doc = {
+      type                  : 'season',
+      seasonTitle           : item.gist.title,
+      seasonDescription     : item.gist.description,
+      seasonPrimaryCategory : item.gist.primaryCategory ? (Object.keys(item.gist.primaryCategory).length !== 0 ? item.gist.primaryCategory.title : null) : null,
+      seasonCategories      : item.categories ? (item.categories.length > 0 ? this._defineCategories(item.categories) : null) : null,
+      seasonTags            : item.tags ? (item.tags.length > 0 ? this._defineTags(item.tags) : null) : null,
+      seriesId              : item.seriesId || null,
+      seasonNumber          : item.seasonNumber !== undefined ? item.seasonNumber : null,
+      status                : item.showDetails ? item.showDetails.status : null,
+      publishDate           : item.gist.publishDate,
+      data                  : item
+    };
+    return this.unified('season', doc);
+  }
+
+}
+
+//** Expose this Seasons Class **//
+module.exports = Seasons;
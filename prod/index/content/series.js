@@ -1,5 +1,16 @@
 /**
  * Indexes Series
+ * Modified series are partially updated, sending only the fields that changed between the
+ * OldImage & NewImage of the stream record (see Index.updateOp()).
+ *
+ * Series documents carry the titles of their episodes as `seriesEpisodes`, linked by each episode as
+ * it is indexed (see episodes.js). Episodes indexed before their series are read from the index
+ * when the series document is built. An episode that links into its series before the series is
+ * indexed, and is too recent for that search to find, fails its link & is dead-lettered, to be
+ * replayed once the series is indexed (see Index.linkOp()).
+ *
+ * The series title is also propagated to the videos of the series (see videos.js) when it is inserted,
+ * retitled or removed, with an update by query (see Index.propagateOp()).
  *
  * REQUIRED ENVIRONMENT VARIABLES
  *  AWS_REGION  - The AWS Region, available by default by Lambda.
@@ -10,6 +21,8 @@
  *
  * @requires api.js
  * @requires index.js
+ * @requires elasticsearch_common/logger
+ * @requires elasticsearch_common/roles
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 2.0.0
@@ -21,6 +34,11 @@ const docClient          = new AWS.DynamoDB.DocumentClient();
 const dynamodbTranslator = docClient.getTranslator();                                    // Legacy
 const ItemShape          = docClient.service.api.operations.getItem.output.members.Item; // Legacy
 const Index              = require('../shared/index');                                   // Import the parent Index class
+const logger             = require('elasticsearch_common/logger');                       // Structured JSON logger
+const role               = require('elasticsearch_common/roles').role;                   // Credit block title to people role
+
+// The most episodes read for a series, see _related():
+const MAX_EPISODES = 1000;
 
 /**
  * Performs indexing operations for series documents.
@@ -36,37 +54,79 @@ class Series extends Index {
   }
 
   /**
-   * Removes or Inserts a series document into an index specified by site.
+   * Prepares the operation to remove or insert a series document into an index specified by site.
    *
-   * @param    {string} action  - `insert` | `remove` - insert or remove the doc.
+   * @param    {string} action  - `INSERT` | `REMOVE` - insert or remove the doc.
    * @param    {string} site    - The site the series belongs to, also the name of the index.
    * @param    {string} id      - The ID of the series to insert, or the ID of the document to remove.
-   * @param    {object} image   - The raw DynamoDB series image
-   * @return   {Promise.<boolean,Error>}
-   * @fulfills {boolean} - True on success
-   * @rejects  {Error}   - Error on fail
+   * @param    {object} image    - The raw DynamoDB series image
+   * @param    {Logger} log      - Optional logger, carrying the correlation context of the caller.
+   * @param    {object} oldImage - Optional, the raw DynamoDB series image before a MODIFY.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object} - The operation to write
+   * @rejects  {Error}  - Error preparing the document
    */
-  index(action, site, id, image) {
+  prepare(action, site, id, image, log = logger, oldImage) {
     const self = this;
-    return new Promise((fulfill, reject) => {     
-      //** Insert/Modify Document **//
-      if (action === 'INSERT') {
-        const doc = self._prepareDocument(image);          
-        self.insert(site, id, doc)  // Insert the document..
-          .then(success => {
-            fulfill(true);                    // Document successfully inserted!
-        }).catch(e => {
-          reject(e);                          // Error inserting document!
-        });      
+    return new Promise((fulfill, reject) => {
       //** Remove Document **//
-      } else if (action === 'REMOVE') {
-        self.remove(site, id)       // Remove the document
-          .then(success => {
-            fulfill(true);                    // Document successfully removed!
-        }).catch(e => {
-          reject(e);                          // Error removing document!
-        });
+      if (action === 'REMOVE') return fulfill(self._propagated({action: action, index: site, id: id}));
+      self._related(site, id, log)
+        .then(related => {
+          //** Insert Document **//
+          if (!oldImage) return fulfill(self._propagated({action: action, index: site, id: id, doc: Object.assign(self._prepareDocument(image), related)}));
+          //** Modify Document, Sending only the Changes **//
+          fulfill(self._propagated(self.updateOp(site, id, Object.assign(self._prepareDocument(oldImage), related), Object.assign(self._prepareDocument(image), related))));
+      }).catch(e => {
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Adds the propagation of the series title to its videos to an operation, unless it's an update
+   * that leaves the title unchanged. Removing the series clears the title of its videos.
+   *
+   * @param  {object} op - The operation on the series document.
+   * @return {object}    - The operation, with its `links`.
+   */
+  _propagated(op) {
+    const links = [];
+    if (op.action !== 'UPDATE' || op.partial.doc.seriesTitle !== undefined) {
+      links.push(this.propagateOp(op.index, {term: {videoSeriesId: op.id}}, {videoSeriesTitle: op.doc ? op.doc.seriesTitle : null}));
+    }
+    return Object.assign(op, {links: links});
+  }
+
+  /**
+   * Reads the episodes of a series already in the index, so a series indexed after its episodes
+   * carries their titles. Also kept by a modified series, whose full document is inserted if it
+   * wasn't indexed yet.
+   *
+   * @param    {string} site - The site the series belongs to, also the name of the index.
+   * @param    {string} id   - The series ID.
+   * @param    {Logger} log  - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}        The related fields of the document: its `seriesEpisodes`.
+   * @rejects  {Error}         An ES Error.
+   */
+  _related(site, id, log = logger) {
+    const self = this;
+    return self._timed(() => self.es.search(self.types.params({
+      index:             site,
+      ignoreUnavailable: true,
+      size:              MAX_EPISODES,
+      body: {
+        _source: ['episodeTitle', 'streamVersion'],
+        query:   {bool: {filter: [{term: {type: 'episode'}}, {term: {seriesId: id}}]}}
       }
+    })), log).then(res => {
+      const episodes = res.hits.hits.map(hit => ({id: hit._id, name: hit._source.episodeTitle, streamVersion: hit._source.streamVersion || null}));
+      return {seriesEpisodes: episodes.length > 0 ? episodes : null};
+    }, e => {
+      if (e.status === 404) return {seriesEpisodes: null}; // Site not indexed yet
+      log.error('Error reading series episodes', {index: site, id: id, error: e});
+      return Promise.reject(e);
     });
   }
 
@@ -82,7 +142,7 @@ class Series extends Index {
    * @return   {object}       - Formatted document object for indexing.
    */   
   _prepareDocument(image) {
-    const item = dynamodbTranslator.translateOutput(image, ItemShape); // Convert DynamoDB image JSON to standard JSON
+    const item = this._translate(image); // Convert DynamoDB image JSON to standard JSON
     const doc = {
       type                  : 'series',
       seriesTitle           : item.gist.title,
@@ -95,23 +155,35 @@ class Series extends Index {
       publishDate           : item.gist.publishDate,
       data                  : item
     };
-    return doc;
+    return this.unified('series', doc);
+  }
+
+  /**
+   * Converts a raw DynamoDB image to standard JSON. Also used by the seasons & episodes of the
+   * SERIES table, which are indexed from their image too.
+   *
+   * @param  {object} image - The raw DynamoDB image.
+   * @return {object}       - The item as standard JSON.
+   */
+  _translate(image) {
+    return dynamodbTranslator.translateOutput(image, ItemShape);
   }
 
   /**
    * Parses the `creditBlocks` field present in DynamoDB image and
    * prepares an array of objects containing the name of each
-   * actor and directors found in the `creditBlocks`.
+   * actor and director found in the `creditBlocks`, with their role
+   * taken from the title of their credit block (see elasticsearch_common/roles.js).
    *
    * @param  {array} creditBlocks - The creditBlocks array returned from API.
-   * @return {array} Array of objects containing name of each actor/director.
+   * @return {array} Array of objects containing the name & role of each actor/director.
    */
   _definePeople(creditBlocks) {
     const people = [];
     creditBlocks.forEach(block => {
       if (block.credits) {
         block.credits.forEach(credit => {
-          people.push({name: credit.title});
+          people.push({name: credit.title, role: role(block.title)});
         });
       }
     });
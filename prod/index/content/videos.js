@@ -1,5 +1,8 @@
 /**
  * Indexes Videos
+ * Videos that are episodes of a series, i.e. whose gist has a `seriesId`, carry the title of their
+ * series as `videoSeriesTitle`, read from the series document, and their season & episode numbers.
+ * Series title changes are propagated to their videos when the series is indexed (see series.js).
  *
  * REQUIRED ENVIRONMENT VARIABLES
  *  AWS_REGION  - The AWS Region, available by default by Lambda.
@@ -10,14 +13,18 @@
  *
  * @requires api.js
  * @requires index.js
+ * @requires elasticsearch_common/logger
+ * @requires elasticsearch_common/roles
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 2.0.0
  */
 
 // Load Dependencies:
-const API   = require('../shared/api'); // Import ViewLift API Class
-const Index = require('../shared/index'); // Import the parent Index class
+const API    = require('../shared/api');                   // Import ViewLift API Class
+const Index  = require('../shared/index');                 // Import the parent Index class
+const logger = require('elasticsearch_common/logger');     // Structured JSON logger
+const role   = require('elasticsearch_common/roles').role; // Credit block title to people role
 
 /**
  * Performs indexing operations for video documents.
@@ -40,39 +47,31 @@ class Videos extends Index {
   }
 
   /**
-   * Removes or Inserts a video document into an index specified by site.
+   * Prepares the operation to remove or insert a video document into an index specified by site.
    *
-   * @param    {string} action - `insert` | `remove` - insert or remove the doc.
+   * @param    {string} action - `INSERT` | `REMOVE` - insert or remove the doc.
    * @param    {string} site   - The site the video belongs to, also the name of the index.
    * @param    {string} id     - The ID of the video to insert, or the ID of the document to remove.
-   * @return   {Promise.<boolean,Error>}
-   * @fulfills {boolean} - True on success
-   * @rejects  {Error}   - Error on fail
+   * @param    {object} image  - The raw DynamoDB image (unused, documents are built from VL API data).
+   * @param    {Logger} log    - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object} - The operation to write
+   * @rejects  {Error}  - Error preparing the document
    */
-  index(action, site, id) {
+  prepare(action, site, id, image, log = logger) {
     const self = this;
-    return new Promise((fulfill, reject) => {     
+    return new Promise((fulfill, reject) => {
       //** Insert/Modify Document **//
       if (action === 'INSERT') {
-        self._prepareDocument(site, id)           // Create the video document to insert..
+        self._prepareDocument(site, id, log)   // Create the video document to insert..
           .then(doc => {
-            self.insert(site, id, doc)  // Insert the document..
-              .then(success => {
-                fulfill(true);                    // Document successfully inserted!
-            }).catch(e => {
-              reject(e);                          // Error inserting document!
-            });
+            fulfill({action: action, index: site, id: id, doc: doc});
         }).catch(e => {
-          reject(e);                              // Error preparing document!
-        });      
+          reject(e);                          // Error preparing document!
+        });
       //** Remove Document **//
       } else if (action === 'REMOVE') {
-        self.remove(site, id)           // Remove the document
-          .then(success => {
-            fulfill(true);                        // Document successfully removed!
-        }).catch(e => {
-          reject(e);                              // Error removing document!
-        });
+        fulfill({action: action, index: site, id: id});
       }
     });
   }
@@ -82,16 +81,22 @@ class Videos extends Index {
    * 
    * @param    {string} site - The site associated with the video.
    * @param    {string} id   - The video ID.
+   * @param    {Logger} log  - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<object,Error>} 
    * @fulfills {object}          The document body object.
    * @rejects  {Error}           A VL API Error.
    */   
-  _prepareDocument(site, id) {
+  _prepareDocument(site, id, log = logger) {
     const self = this;
     return new Promise((fulfill, reject) => {
       // Get Complete Video Data from API:
-      self.api.getVideo(site, id)
+      self.api.getContent('videos', site, id, log)
         .then(video => {
+          // Get the Title of the Video's Series, if any:
+          return self._seriesTitle(site, video.gist.seriesId, log)
+            .then(seriesTitle => ({video: video, seriesTitle: seriesTitle}));
+      }).then(result => {
+          const video = result.video;
           // Define & Build Document Body:
           delete video.streamingInfo; // Remove streaming info from video data.
           const doc = {
@@ -102,6 +107,10 @@ class Videos extends Index {
             videoCategories      : video.categories ? (video.categories.length > 0 ? self._defineCategories(video.categories) : null) : null,
             videoTags            : video.tags ? (video.tags.length > 0 ? self._defineTags(video.tags) : null) : null,
             videoPeople          : video.creditBlocks ? (video.creditBlocks.length > 0 ? self._definePeople(video.creditBlocks) : null) : null,
+            videoSeriesId        : video.gist.seriesId || null,
+            videoSeriesTitle     : result.seriesTitle,
+            videoSeasonNumber    : video.gist.seasonNumber !== undefined ? video.gist.seasonNumber : null,
+            videoEpisodeNumber   : video.gist.episodeNumber !== undefined ? video.gist.episodeNumber : null,
             isTrailer            : video.gist.isTrailer || false,
             free                 : video.gist.free,
             year                 : video.gist.year,
@@ -111,27 +120,49 @@ class Videos extends Index {
             data                 : video
           };
           // Fulfill with video document:
-          fulfill(doc);
+          fulfill(self.unified('video', doc));
       }).catch(e => {
         reject(e);
       });
     });
   }
 
+  /**
+   * Reads the title of a series from its document in the index.
+   *
+   * @param    {string} site     - The site associated with the video.
+   * @param    {string} seriesId - The ID of the video's series, if any.
+   * @param    {Logger} log      - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<string|null,Error>}
+   * @fulfills {string|null}       The series title, or null if the video has no series or it isn't indexed yet.
+   * @rejects  {Error}             An ES Error.
+   */
+  _seriesTitle(site, seriesId, log = logger) {
+    const self = this;
+    if (!seriesId) return Promise.resolve(null);
+    return self._timed(() => self.es.get(self.types.doc({index: site, id: seriesId, _source: 'seriesTitle'})), log)
+      .then(res => res._source.seriesTitle || null, e => {
+        if (e.status === 404) return null; // Series or site not indexed yet, its title is propagated once it is
+        log.error('Error reading series title', {index: site, id: seriesId, error: e});
+        return Promise.reject(e);
+    });
+  }
+
   /**
    * Parses the `creditBlocks` field returned from API and
    * prepares an array of objects containing the name of each
-   * actor and directors found in the `creditBlocks`.
+   * actor and director found in the `creditBlocks`, with their role
+   * taken from the title of their credit block (see elasticsearch_common/roles.js).
    *
    * @param  {array} creditBlocks - The creditBlocks array returned from API.
-   * @return {array} Array of objects containing name of each actor/director.
+   * @return {array} Array of objects containing the name & role of each actor/director.
    */
   _definePeople(creditBlocks) {
     const people = [];
     creditBlocks.forEach(block => {
       if (block.credits) {
         block.credits.forEach(credit => {
-          people.push({name: credit.title});
+          people.push({name: credit.title, role: role(block.title)});
         });
       }
     });
@@ -6,53 +6,90 @@
  * index accordingly. 
  * /////////////////////////////////////////////////////////////////////////
  * =========================================================================
- * This service is attached as a trigger to the following DynamoDB tables: 
+ * This service is attached as a trigger to the following DynamoDB tables,
+ * where <STAGE> is the upper-cased development stage (see shared/routes.js):
  * -------------------------------------------------------------------------
- *  1. PROD.CONTENT.CONTENT_METADATA
- *  2. PROD.CONTENT.SERIES
- *  3. PROD.CONTENT.ARTICLE
- *  4. PROD.CONTENT.EVENT
- *  5. PROD.CONTENT.AUDIO
- *  6. PROD.CONTENT.PHOTOGALLERY
+ *  1. <STAGE>.CONTENT.CONTENT_METADATA
+ *  2. <STAGE>.CONTENT.SERIES (series, seasons & episodes)
+ *  3. <STAGE>.CONTENT.ARTICLE
+ *  4. <STAGE>.CONTENT.EVENT
+ *  5. <STAGE>.CONTENT.AUDIO
+ *  6. <STAGE>.CONTENT.PHOTOGALLERY
  * =========================================================================
  * /////////////////////////////////////////////////////////////////////////
  * =========================================================================
  * REQUIRED ENVIRONMENT VARIABLES
  * -------------------------------------------------------------------------
  *  1. AWS_REGION      - The AWS Region, available by default by Lambda.
- *  2. STAGE           - The development stage (dev, staging, prod).
+ *  2. STAGE           - The development stage (develop, release, prod).
  *  3. ES_ENDPOINT     - The URL endpoint to the ElasticSearch cluster.
- *  4. ES_VERSION      - The version of ElasticSearch used on our cluster.
- * =========================================================================  
+ *  4. ES_VERSION      - The version of ElasticSearch used on our cluster, e.g. `6.2`.
+ *                       ES 7+ & OpenSearch (`opensearch`) clusters are spoken to
+ *                       without mapping types.
+ *  5. DEAD_LETTER_BUCKET - The S3 bucket to persist records that failed to index in (see
+ *     or                   tools/deadLetters.js), or DEAD_LETTER_DIR, a durable directory
+ *     DEAD_LETTER_DIR      to persist them in instead, e.g. on EFS.
+ * -------------------------------------------------------------------------
+ * OPTIONAL ENVIRONMENT VARIABLES
+ * -------------------------------------------------------------------------
+ *  1. TABLE_ROUTES      - JSON object mapping table names to content type names (see
+ *                         shared/routes.js), for tables outside the <STAGE>.CONTENT.*
+ *                         naming convention, or with their own open/closed status rules.
+ *  2. LOG_LEVEL         - Minimum level of the JSON log lines: debug, info, warn or error.
+ *  3. METRICS_NAMESPACE - CloudWatch namespace of the per-table & content type metrics
+ *                         written to stdout, defaults to SearchIndexer.
+ *  4. DRY_RUN           - Set to `true` to route, fetch & build documents without modifying
+ *                         ElasticSearch, logging what would be inserted or removed instead.
+ *  5. VL_API_URL        - Base URL of the ViewLift API, defaults to https://<stage>-api.viewlift.com.
+ *                         Records can be replayed locally with tools/replayStream.js.
+ *  6. ES_REFRESH        - Refresh policy of the bulk writes: true, false or wait_for. Defaults to false.
+ *  7. SPOOL_BUCKET      - S3 bucket to spool operations in while ElasticSearch is unavailable, instead
+ *     or                  of failing their records, or SPOOL_DIR, a durable directory to spool them in
+ *     SPOOL_DIR           instead, e.g. on EFS. Spooled records are acknowledged, and their operations
+ *                         drained before the next batch is written, by any container, or with tools/spool.js.
+ *                         Spooling is disabled unless one is set.
+ * =========================================================================
  * /////////////////////////////////////////////////////////////////////////
- * @requires content/videos.js
- * @requires content/series.js
- * @requires content/articles.js
+ * @requires elasticsearch_common/registry
+ * @requires content
+ * @requires shared/index.js
+ * @requires elasticsearch_common/client
+ * @requires shared/routes.js
+ * @requires shared/deadletter.js
+ * @requires elasticsearch_common/logger
+ * @requires shared/metrics.js
  * /////////////////////////////////////////////////////////////////////////
  * @author Rob Mullins <rob@viewlift.com>
  * @version 2.0.0
  */
 
 // Import & Instantiate Dependencies:
-const Videos   = new require('./content/videos');   // Import video    content type class
-const Series   = new require('./content/series');   // Import series   content type class
-const Articles = new require('./content/articles'); // Import articles content type class
-const Events   = new require('./content/events');   // Import events   content type class
-const Audio    = new require('./content/audio');    // Import audio    content type class
-const Photos   = new require('./content/photos');   // Import photos   content type class
+const registry   = require('elasticsearch_common/registry'); // Import content type registry
+const classes    = require('./content');                     // Import the content class of each content type
+const Index      = require('./shared/index');                // Import index class, to write operations in bulk
+const client     = require('elasticsearch_common/client');   // Import ES error classification
+const Router     = require('./shared/routes');               // Import table router class
+const DeadLetter = require('./shared/deadletter');           // Import dead-letter store class
+const logger     = require('elasticsearch_common/logger');   // Import structured JSON logger
+const metrics    = require('./shared/metrics');              // Import indexing metrics collector
 
-// Instantiate Required Content Classes:
-const videos   = new Videos();
-const series   = new Series();
-const articles = new Articles();
-const events   = new Events();
-const audio    = new Audio();
-const photos   = new Photos();
+// Content Classes, Table Router, Bulk Writer & Dead-Letter Store, Instantiated by the First
+// Invocation once the Environment is Checked, & Reused by Later Invocations of this Container:
+let content, router, writer, deadLetters;
 
 /**
  * Lambda Entry Point
  * Performs indexing on a single or multiple DynamoDB event(s).
  *
+ * The operation for each record is prepared first, then all operations are written together
+ * with one `_bulk` request per index.
+ *
+ * Responds with the sequence numbers of any records that failed to index with a retryable error
+ * as `batchItemFailures`, so that only those records are retried. This requires the event source
+ * mapping to be configured with the `ReportBatchItemFailures` function response type.
+ * A malformed record only fails itself, and an unexpected error fails every record of the batch,
+ * so the Lambda always responds rather than timing out.
+ *
  * @param {object} event            - The DynamoDB/Caller Event data. Contains the DynamoDB record data.
  * @param {object} context          - Object containing runtime information for this Lambda function.
  * @param {LambdaCallback} callback - The callback that handles the Lambda completion.
@@ -60,95 +97,242 @@ const photos   = new Photos();
  * @callback LambdaCallback
  * @param {Error}         error   - Optional error object to indicate Lambda failure. 
  * @param {object|string} success - Optional JSON.stringify compatible object or string to indicate Lambda success.
+ *                                  Contains the `batchItemFailures` to retry.
  */
 exports.handler = function(event, context, callback) {
+  const log = logger.child({requestId: context.awsRequestId}); // Carry the invocation request ID through every log entry
+  // Flush the metrics of this invocation on every exit, so none carry over into the next invocation of the container:
+  const done = (error, success) => {
+    metrics.flush();
+    return callback(error, success);
+  };
   //** Ensure all Environment Variables Set **//
-  if (!process.env.STAGE || !process.env.ES_ENDPOINT || !process.env.ES_VERSION) {
-    console.log('Error - environment variables not set. Required environment variables are STAGE, ES_ENDPOINT, and ES_VERSION');
-    return callback('Not all required environment variables were set.');
+  if (!process.env.STAGE || !process.env.ES_ENDPOINT || !process.env.ES_VERSION || !(process.env.DEAD_LETTER_BUCKET || process.env.DEAD_LETTER_DIR)) {
+    log.error('Environment variables not set. Required environment variables are STAGE, ES_ENDPOINT, ES_VERSION, and DEAD_LETTER_BUCKET or DEAD_LETTER_DIR');
+    return done('Not all required environment variables were set.');
   }  
+  try {
+    setup();
+  } catch (e) {
+    log.error('Invalid indexer configuration', {error: e});
+    return done('Invalid indexer configuration - ' +e);
+  }
+  if (process.env.DRY_RUN === 'true') log.info('Dry run - ElasticSearch will not be modified');
+  //** Keep only the Final Event per Document **//
+  const records = coalesce(event.Records);
+  if (records.length < event.Records.length) log.info('Coalesced duplicate events', {coalesced: event.Records.length - records.length});
   //** Iterate through DynamoDB Events **//
-  const processing = []; 
-  event.Records.forEach(record => {
-    //** Parse Table Name, Event Action, Site, ID, DynamoDB Image **//
-    const table  = record.eventSourceARN.replace(/arn:aws:dynamodb:.*?:.*?:table\//,'').replace(/\/stream.*/,''); // Get Table Name from ARN
-    const action = (record.eventName === 'INSERT' || record.eventName === 'MODIFY') ? 'INSERT' : 'REMOVE';        // Determine action to perform on index (insert or remove)
-    const site   = record.dynamodb.Keys.site.S;
-    const id     = record.dynamodb.Keys.id.S;
-    const image  = record.dynamodb.NewImage ? record.dynamodb.NewImage : record.dynamodb.OldImage; // Set image to NewImage if NewImage defined (INSERT/MODIFY events) else set it to OldImage (REMOVE event)
-    let   type   = null;
-    let   status = null;
-    //** Index According to Table **//
-    switch (table) {  
-      // Index Video Data:
-      case 'PROD.CONTENT.CONTENT_METADATA':
-        type   = image.objectKey.S; 
-        status = image.status ? image.status.S : null;
-        if (type === 'video' && status === 'open') processing.push(videos.index(action, site, id));
-        else console.log('Skipping unsupported or closed metadata content.');
-        break;     
-      // Index Series Data:
-      case 'PROD.CONTENT.SERIES':  
-        status = image.showDetails ? (image.showDetails.M.status ? image.showDetails.M.status.S : null) : null;   
-        if (!image.objectType && status === 'open') processing.push(series.index(action, site, id, image)); // Only index series that have no objectType defined
-        else console.log('Skipping unsupported or closed series content.');
-        break;     
-      // Index Article Data:
-      case 'PROD.CONTENT.ARTICLE':
-        status = image.contentStatus ? image.contentStatus.S : null;
-        if (status === 'open') processing.push(articles.index(action, site, id));
-        else console.log('Skipping unsupported or closed article content.');
-        break;
-      // Index Event Data:
-      case 'PROD.CONTENT.EVENT':
-       type   = image.contentType.S;
-       status = image.contentStatus ? image.contentStatus.S : null;
-       if (type === 'EVENT' && status === 'open') processing.push(events.index(action, site, id));
-       else console.log('Skipping unsupported or closed event content.');
-       break;
-      // Index Audio Data:
-      case 'PROD.CONTENT.AUDIO':
-        type   = image.contentType.S;
-        status = image.contentStatus ? image.contentStatus.S : null;
-        if (type === 'AUDIO' && status === 'open') processing.push(audio.index(action, site, id));
-        else console.log('Skipping unsupported or closed audio content.');
-        break;
-      // Index PhotoGallery Data:
-      case 'PROD.CONTENT.PHOTOGALLERY':
-        type   = image.contentType.S;
-        status = image.contentStatus ? image.contentStatus.S : null;
-        if (type === 'IMAGE' && status === 'open') processing.push(photos.index(action, site, id));
-        else console.log('Skipping unsupported or closed photo content.');
-        break;
+  const processing = []; // Pending operations, paired with the record they were prepared from
+  records.forEach(record => {
+    try {
+      //** Parse Table Name, Site, ID, DynamoDB Image **//
+      const parsed = router.parse(record);
+      const table  = parsed.table;
+      const site   = parsed.site;
+      const id     = parsed.id;
+      const image  = parsed.image; // NewImage of INSERT/MODIFY events, else OldImage of REMOVE events
+      //** Resolve Table Route **//
+      const route     = router.resolve(table, image);
+      const recordLog = log.child({eventId: record.eventID, table: table, site: site, id: id, contentType: route ? route.name : null});
+      if (!route) {
+        recordLog.info('Skipping record from unrouted table');
+        metrics.count('Skipped', Object.assign({reason: 'unrouted'}, recordLog.context));
+        return;
+      }
+      //** Determine Action to Perform on Index (insert or remove), from Status Transition **//
+      const action = router.action(route, record);
+      if (!action) {
+        recordLog.info('Skipping unsupported or closed content');
+        metrics.count('Skipped', Object.assign({reason: 'closed'}, recordLog.context));
+        return;
+      }
+      if (action === 'REMOVE' && record.dynamodb.NewImage) recordLog.info('Removing content that is no longer open');
+      //** Prepare Operation According to Route, Versioned by the Record **//
+      const version = router.version(record);
+      processing.push({
+        sequence: record.dynamodb.SequenceNumber,
+        log:      recordLog,
+        failure:  {table: table, site: site, id: id, action: action, image: image, version: version, record: record},
+        promise:  content[route.name].prepare(action, site, id, image, recordLog, record.dynamodb.OldImage)
+          .then(op => Object.assign(op, {version: version}))
+      });
+    } catch (e) {
+      //** Malformed Record, Fail only this Record **//
+      processing.push({
+        sequence:  record && record.dynamodb ? record.dynamodb.SequenceNumber : undefined,
+        log:       log.child({eventId: record ? record.eventID : null}),
+        failure:   {record: record},
+        permanent: true, // Retrying the same record would fail the same way
+        promise:   Promise.reject(e)
+      });
     }
   });
 
-  //** Wait for all events to be processed, Regardless of success **//
-  Promise.all(processing.map(p => p.catch(e => e)))
-    .then(processed => {
-      console.log('All records processed!');
+  //** Wait for all operations to be prepared, Regardless of success **//
+  Promise.all(processing.map(p => p.promise.then(op => ({ok: true, op: op}), e => ({ok: false, error: e}))))
+    .then(prepared => {
+      //** Install or Upgrade the Index Template, Once per Container, Before any Site Index is Created **//
+      if (writer.dryRun) return prepared;
+      return writer.templates.ensure()
+        .catch(e => log.warn('Error installing the index template', {error: e}))
+        .then(() => prepared);
+  }).then(prepared => {
+      //** Drain Operations Spooled while ElasticSearch was Unavailable, Before Writing Newer Ones **//
+      return writer.drain(log)
+        .catch(e => log.warn('Error draining spooled operations', {error: e}))
+        .then(() => prepared);
+  }).then(prepared => {
+      //** Write the Prepared Operations in Bulk **//
+      const ops = prepared.filter(p => p.ok).map(p => p.op);
+      return writer.bulk(ops, log)
+        .then(results => {
+          // Pair each record with its write result, or the error preparing it:
+          let written = 0;
+          return prepared.map(p => p.ok ? results[written++] : p);
+      });
+  }).then(results => {
+      //** Record the Outcome of each Record **//
+      return Promise.all(results.map((result, i) => settle(processing[i], result)));
+  }).then(processed => {
+      log.info('All records processed!');
       // Track Successful & Failed Events..
-      let succeeded = 0;
-      let failed    = 0;
-      let total     = processed.length;
+      const failures  = [];
+      let   succeeded = 0;
+      let   failed    = 0;
+      let   total     = processed.length;
       processed.forEach(process => {
-        if (process instanceof Error) {
-          console.log('Error processing an event: ', process); // Print the Error rejection
+        if (process.failed) {
+          process.log.error('Error processing event', {sequence: process.sequence, classification: process.classification, retry: process.retry, error: process.error}); // Log the rejection
+          if (process.retry) failures.push({itemIdentifier: process.sequence});
           failed++;
         } else {
           succeeded++;
         }
       });
       // All events processed, end lambda execution..
-      console.log('Successfully processed %d/%d events.', succeeded, total);
-      if (failed) {
-        // Exit Lambda with FAILED status:
-        console.log('Failed processing %d/%d events.', failed, total);
-        return callback('There was an error processing ' +failed +' events!');
-      } else {
-        // Exit Lambda with SUCCESS status:
-        return callback(null, 'Successfully processed all ' +total +' events!');
-      }
-  }); 
+      log.info('Batch processed', {succeeded: succeeded, failed: failed, retried: failures.length, total: total});
+      // Exit Lambda with SUCCESS status, reporting failed records to be retried:
+      return done(null, {batchItemFailures: failures});
+  }).catch(e => {
+      //** Unexpected Error, Retry the Whole Batch **//
+      log.error('Error processing batch', {error: e});
+      const failures = event.Records
+        .filter(record => record && record.dynamodb && record.dynamodb.SequenceNumber)
+        .map(record => ({itemIdentifier: record.dynamodb.SequenceNumber}));
+      return done(null, {batchItemFailures: failures});
+  });
 
 };
+
+/**
+ * Instantiates the content class of each registered content type, the table router, bulk writer
+ * & dead-letter store, once per container. Throws if the routing config is invalid.
+ */
+function setup() {
+  if (router) return;
+  const routes = new Router(process.env.STAGE, process.env.TABLE_ROUTES);
+  content = {};
+  registry.all().forEach(definition => {
+    content[definition.name] = new classes[definition.name]();
+  });
+  writer      = new Index(process.env.ES_ENDPOINT, process.env.ES_VERSION);
+  deadLetters = new DeadLetter();
+  router      = routes; // Set last, so that a failed setup is retried by the next invocation
+}
+
+/**
+ * Records the outcome of a single record: counts it, and persists it to the dead-letter store
+ * if it failed to be prepared or written. Writes rejected for being older than the stored
+ * document, or otherwise conflicting, are counted as skipped, not failed. Writes skipped as their
+ * document is unchanged (see shared/index.js) are counted separately, as `Unchanged`, and writes
+ * spooled while ElasticSearch is unavailable as `Spooled`.
+ *
+ * Failures are classified (see elasticsearch_common/client.js), and only retryable failures are retried by
+ * the stream. Permanent failures, e.g. a document ES rejects, or a TypeError building a document,
+ * would fail the same way on every retry, so they are left in the dead-letter store instead of
+ * blocking the stream. So are malformed records, flagged `permanent`.
+ *
+ * @param    {object} processing - The record's pending operation, with its `sequence`, `log` & `failure` details,
+ *                                 and whether its failure is `permanent`.
+ * @param    {object} result     - The result of preparing & writing the operation, with `ok` & `error`.
+ * @return   {Promise.<object>}
+ * @fulfills {object}              The record's `sequence`, `log`, `failed` & `retry` flags, and `error`.
+ */
+function settle(processing, result) {
+  const log = processing.log;
+  if (result.ok && result.stale) {
+    log.info('Skipping stale write, the stored document is newer', {version: processing.failure.version});
+    metrics.count('Skipped', Object.assign({reason: 'stale'}, log.context));
+    return Promise.resolve({sequence: processing.sequence, log: log, failed: false});
+  }
+  if (result.ok && result.spooled) {
+    log.warn('Spooled operation, ElasticSearch is unavailable', {spoolKey: result.spooled, error: result.error});
+    metrics.count('Spooled', log.context);
+    return Promise.resolve({sequence: processing.sequence, log: log, failed: false});
+  }
+  if (result.ok && result.unchanged) {
+    log.info('Skipping unchanged document');
+    metrics.count('Unchanged', log.context);
+    return Promise.resolve({sequence: processing.sequence, log: log, failed: false});
+  }
+  if (result.ok) {
+    metrics.count(processing.failure.action === 'INSERT' ? 'Indexed' : 'Removed', log.context);
+    return Promise.resolve({sequence: processing.sequence, log: log, failed: false});
+  }
+  const classification = processing.permanent ? 'permanent' : client.classify(result.error);
+  if (classification === 'conflict') {
+    log.info('Skipping conflicting write', {error: result.error});
+    metrics.count('Skipped', Object.assign({reason: 'conflict'}, log.context));
+    return Promise.resolve({sequence: processing.sequence, log: log, failed: false});
+  }
+  metrics.count('Failed', Object.assign({reason: classification}, log.context));
+  // Persist the failed record to the dead-letter store, then report it as failed:
+  return deadLetters.put(Object.assign({error: result.error}, processing.failure))
+    .catch(err => log.error('Error writing dead letter', {error: err}))
+    .then(() => ({sequence: processing.sequence, log: log, failed: true, retry: classification === 'retryable', classification: classification, error: result.error}));
+}
+
+/**
+ * Coalesces multiple events for the same document within a batch, keeping only the final
+ * event per table, site & ID so that each document gets a single, deterministic write.
+ *
+ * The final event keeps the OldImage of the first event for its document, so that status
+ * transitions are detected against the document's state before the batch, e.g. a MODIFY
+ * from open to closed followed by another MODIFY still removes the document, as does a
+ * REMOVE of open content followed by an INSERT of closed content (see Router.action()). It also keeps
+ * the first event's SequenceNumber, so that a failure retries the document's whole group, and the final
+ * event's as FinalSequenceNumber, so that the document is written with the final event's version
+ * (see Router.version()).
+ *
+ * @param  {array} records - The DynamoDB stream records, in stream order.
+ * @return {array}         - The coalesced records, in stream order.
+ */
+function coalesce(records) {
+  const key   = record => {
+    try {
+      return [record.eventSourceARN, record.dynamodb.Keys.site.S, record.dynamodb.Keys.id.S].join('|');
+    } catch (e) {
+      return null; // Malformed, left as is to fail on its own
+    }
+  };
+  const first = {}; // First record per document key
+  const last  = {}; // Position of the final record per document key
+  records.forEach((record, i) => {
+    if (key(record) === null) return;
+    if (!first[key(record)]) first[key(record)] = record;
+    last[key(record)] = i;
+  });
+  return records
+    .filter((record, i) => key(record) === null || last[key(record)] === i)
+    .map(record => {
+      const initial = first[key(record)];
+      if (!initial || initial === record) return record;
+      return Object.assign({}, record, {
+        dynamodb: Object.assign({}, record.dynamodb, {
+          OldImage:            initial.dynamodb.OldImage,
+          SequenceNumber:      initial.dynamodb.SequenceNumber,
+          FinalSequenceNumber: record.dynamodb.SequenceNumber
+        })
+      });
+    });
+}
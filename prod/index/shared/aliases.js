@@ -0,0 +1,275 @@
+/**
+ * Versioned Site Indices
+ * Each site's documents live in a versioned physical index, e.g. `content_snagfilms_v3`, behind two aliases:
+ *
+ *   snagfilms       - The read alias, queried by the search service.
+ *   snagfilms_write - The write alias, written to by the indexer.
+ *
+ * Changing the index template then only requires building a new version & switching the aliases
+ * to it (see `tools/reindex.js`), without search ever seeing a missing or half-filled index:
+ *
+ *   1. Check the current index template is installed (see templates.js) & create `content_<site>_v<N+1>` from it.
+ *   2. Move the write alias to it, so that new writes land in the new version. Plain indices are
+ *      cached by the indexer for LEGACY_TTL, which a reindex of one waits out before the copy.
+ *   3. Copy the current version into it with `_reindex`, keeping external versions, so documents
+ *      written since step 2 are never overwritten by older copies. Fields added to documents since
+ *      the current version was built, e.g. the unified cross-type fields, are backfilled by the copy.
+ *   4. Move the read alias to it, atomically.
+ *
+ * Sites indexed before versioning have a plain index named after the site. They are written to
+ * directly until their first reindex, which replaces the plain index with the read alias. Versions
+ * created before the `content_` prefix, e.g. `snagfilms_v2`, are kept until the next reindex too.
+ *
+ * Write aliases are cached once resolved, as they keep their name while moving between versions,
+ * so that steady-state writes go straight to the alias without an existence check. Plain indices
+ * are cached for a minute only, so that writes move to the write alias soon after a reindex.
+ *
+ * @requires templates.js
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// How often to poll a running reindex task, in milliseconds:
+const POLL_INTERVAL = 5000;
+
+// How long a site's plain index is cached as its write target, in milliseconds, as a reindex replaces it:
+const LEGACY_TTL = 60000;
+
+class Aliases {
+
+  /**
+   * Constructor
+   *
+   * @param {object}    es        - The ElasticSearch client.
+   * @param {Templates} templates - The index template, checked before creating an index version.
+   * @param {object}    backfill  - Optional script run on each document copied by a reindex, to add fields
+   *                                documents written by an older indexer lack, see Index.unified().
+   */
+  constructor(es, templates, backfill) {
+    this.es        = es;
+    this.templates = templates;
+    this.backfill  = backfill || null;
+    this.targets   = {}; // Resolved write aliases, by site
+    this.legacy    = {}; // Expiry times of cached plain indices, by site
+  }
+
+  /**
+   * @param  {string} site - The site.
+   * @return {string}      - The name of the site's read alias.
+   */
+  readAlias(site) {
+    return site;
+  }
+
+  /**
+   * @param  {string} site - The site.
+   * @return {string}      - The name of the site's write alias.
+   */
+  writeAlias(site) {
+    return site + '_write';
+  }
+
+  /**
+   * @param  {string} site    - The site.
+   * @param  {number} version - The index version.
+   * @return {string}         - The name of the site's physical index for the version.
+   */
+  versionName(site, version) {
+    return this.templates.prefix + site + '_v' + version;
+  }
+
+  /**
+   * Gets the physical indices of a site, and which of them the aliases point to.
+   *
+   * @param    {string} site - The site.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}        The site's state:
+   *                           `legacy`   - True if the site still has a plain index named after it.
+   *                           `versions` - The existing index versions, in ascending order.
+   *                           `read`     - The indices behind the read alias.
+   *                           `write`    - The indices behind the write alias.
+   * @rejects  {Error}         An ES Error.
+   */
+  resolve(site) {
+    const self    = this;
+    const pattern = new RegExp('^(?:' + self.templates.prefix + ')?' + site.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '_v(\\d+)$');
+    return self.es.indices.getAlias({
+      index:             [site, self.versionName(site, '*'), site + '_v*'], // Including versions created before the prefix
+      ignoreUnavailable: true,
+      allowNoIndices:    true
+    }).then(indices => {
+      const state = {site: site, legacy: false, versions: [], read: [], write: []};
+      Object.keys(indices).forEach(name => {
+        const aliases = Object.keys(indices[name].aliases || {});
+        const match   = name.match(pattern);
+        if (name === site) state.legacy = true;
+        if (match) state.versions.push(parseInt(match[1], 10));
+        if (aliases.indexOf(self.readAlias(site)) !== -1) state.read.push(name);
+        if (aliases.indexOf(self.writeAlias(site)) !== -1) state.write.push(name);
+      });
+      state.versions.sort((a, b) => a - b);
+      return state;
+    });
+  }
+
+  /**
+   * Resolves the name to write a site's documents to: its write alias, or its plain index if the
+   * site hasn't been reindexed since versioning. Creates the first version if the site has neither.
+   * Write aliases are cached; plain indices are cached for LEGACY_TTL only, as a reindex replaces them.
+   *
+   * @param    {string} site - The site.
+   * @return   {Promise.<string,Error>}
+   * @fulfills {string}        The index or alias name to write to.
+   * @rejects  {Error}         An ES Error.
+   */
+  writeTarget(site) {
+    const self = this;
+    if (self.targets[site]) return Promise.resolve(self.targets[site]);
+    if (self.legacy[site] > Date.now()) return Promise.resolve(site);
+    return self.resolve(site)
+      .then(state => {
+        if (state.write.length) return self.writeAlias(site);
+        if (state.legacy) return site;
+        return self.bootstrap(site);
+    }).then(target => {
+      if (target === self.writeAlias(site)) self.targets[site] = target;
+      else self.legacy[site] = Date.now() + LEGACY_TTL;
+      return target;
+    });
+  }
+
+  /**
+   * Creates the first version of a site's index from the index template, behind both aliases.
+   * Succeeds if a concurrent call created it first. Fails if the installed template isn't current.
+   *
+   * @param    {string} site - The site.
+   * @return   {Promise.<string,Error>}
+   * @fulfills {string}        The write alias.
+   * @rejects  {Error}         An ES Error.
+   */
+  bootstrap(site) {
+    const self    = this;
+    const aliases = {};
+    aliases[self.readAlias(site)]  = {};
+    aliases[self.writeAlias(site)] = {};
+    return self.templates.verify()
+      .then(() => self.es.indices.create({
+        index: self.versionName(site, 1),
+        body:  {aliases: aliases}
+    })).then(() => self.writeAlias(site), e => {
+      if (e.body && e.body.error && e.body.error.type === 'resource_already_exists_exception') return self.writeAlias(site);
+      return Promise.reject(e);
+    });
+  }
+
+  /**
+   * Builds a new version of a site's index with the current template, copies the current version
+   * into it, and switches both aliases to it. Search keeps reading the current version until the
+   * copy is complete, and the indexer writes to the new version from the start of the copy.
+   *
+   * NOTE: Documents removed while the copy is running may be copied back in after their removal.
+   * Replay any removals made during a reindex, or reindex while the indexer is quiet.
+   *
+   * @param    {string}   site              - The site.
+   * @param    {object}   options           - Optional settings.
+   * @param    {boolean}  options.deleteOld - Delete the previous version once the aliases are switched.
+   * @param    {function} options.progress  - Called with a message as each step starts.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}                       The `source` & `target` indices, and the reindex `status`.
+   * @rejects  {Error}                        An ES Error, or a string if the site has no index.
+   */
+  reindex(site, options) {
+    const self     = this;
+    const progress = (options && options.progress) || (() => {});
+    const result   = {};
+    return self.resolve(site)
+      .then(state => {
+        if (!state.legacy && !state.read.length) throw 'No index found for site ' +site;
+        if (state.read.length > 1) throw 'The read alias of ' +site+ ' points to more than one index: ' +state.read.join(', ');
+        result.state  = state;
+        result.source = state.legacy ? site : state.read[0];
+        result.target = self.versionName(site, (state.versions.length ? state.versions[state.versions.length - 1] : 0) + 1);
+        //** Check the Current Template is Installed & Create the New Version from it **//
+        progress('Checking the index template');
+        return self.templates.verify();
+    }).then(() => {
+      progress('Creating ' +result.target);
+      return self.es.indices.create({index: result.target});
+    }).then(() => {
+      //** Move the Write Alias to the New Version **//
+      progress('Moving ' +self.writeAlias(site)+ ' to ' +result.target);
+      const actions = result.state.write.map(index => ({remove: {index: index, alias: self.writeAlias(site)}}));
+      actions.push({add: {index: result.target, alias: self.writeAlias(site)}});
+      return self.es.indices.updateAliases({body: {actions: actions}});
+    }).then(() => {
+      //** Wait for Indexers to Stop Writing to a Plain Index they Cached, so the Copy Includes their Last Writes **//
+      delete self.legacy[site];
+      if (!result.state.legacy) return;
+      progress('Waiting for indexers to move to ' +self.writeAlias(site));
+      return new Promise(fulfill => setTimeout(fulfill, LEGACY_TTL));
+    }).then(() => {
+      //** Copy the Current Version, Keeping Documents Written Since & Backfilling Missing Fields **//
+      progress('Copying ' +result.source+ ' into ' +result.target);
+      const body = {
+        conflicts: 'proceed',
+        source:    {index: result.source},
+        dest:      {index: result.target, version_type: 'external'}
+      };
+      if (self.backfill) body.script = self.backfill;
+      return self.es.reindex({waitForCompletion: false, body: body});
+    }).then(res => {
+      return self._wait(res.task, progress);
+    }).then(status => {
+      result.status = status;
+      return self.es.indices.refresh({index: result.target});
+    }).then(() => {
+      //** Switch the Read Alias Atomically **//
+      progress('Moving ' +self.readAlias(site)+ ' to ' +result.target);
+      const actions = result.state.legacy
+        ? [{remove_index: {index: site}}] // The plain index must be removed in the same request the alias replaces it
+        : result.state.read.map(index => ({remove: {index: index, alias: self.readAlias(site)}}));
+      actions.push({add: {index: result.target, alias: self.readAlias(site)}});
+      return self.es.indices.updateAliases({body: {actions: actions}});
+    }).then(() => {
+      if (!options || !options.deleteOld || result.state.legacy) return;
+      progress('Deleting ' +result.source);
+      return self.es.indices.delete({index: result.source});
+    }).then(() => {
+      return {source: result.source, target: result.target, status: result.status};
+    });
+  }
+
+  /**
+   * Waits for a reindex task to complete.
+   *
+   * @param    {string}   task     - The task ID.
+   * @param    {function} progress - Called with a progress message on each poll.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}              The task status: `total`, `created`, `version_conflicts` etc.
+   * @rejects  {Error}               An ES Error, or the task's failures.
+   */
+  _wait(task, progress) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      const poll = () => {
+        self.es.tasks.get({taskId: task})
+          .then(res => {
+            if (!res.completed) {
+              progress('Copied ' +(res.task.status.created + res.task.status.version_conflicts)+ ' of ' +res.task.status.total);
+              return setTimeout(poll, POLL_INTERVAL);
+            }
+            if (res.error || (res.response.failures && res.response.failures.length)) return reject(res.error || res.response.failures);
+            fulfill(res.response);
+        }).catch(e => {
+          reject(e);
+        });
+      };
+      poll();
+    });
+  }
+
+}
+
+//** Expose this Aliases Class **//
+module.exports = Aliases;
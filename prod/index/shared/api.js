@@ -2,14 +2,23 @@
  * ViewLift API Library
  * Contains functions to perform common operations with the ViewLift API.
  *
+ * OPTIONAL ENVIRONMENT VARIABLES
+ *  VL_API_URL - Base URL of the ViewLift API, e.g. a local stub. Defaults to https://<stage>-api.viewlift.com.
+ *
  * @requires request
+ * @requires elasticsearch_common/logger
+ * @requires elasticsearch_common/registry
+ * @requires metrics.js
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 1.0.0
  */
 
 // Load Dependencies:
-const Request = require('request');
+const Request  = require('request');
+const logger   = require('elasticsearch_common/logger');   // Structured JSON logger
+const registry = require('elasticsearch_common/registry'); // Content type registry
+const metrics  = require('./metrics');                     // Indexing metrics collector
 
 class ViewLift {
 
@@ -22,20 +31,21 @@ class ViewLift {
   constructor(stage, identity) {
     // Set the development stage:
     if (!stage) {
-      console.log('Stage not set in api');
+      logger.error('Stage not set in api');
       throw 'Stage not set!';
     } else if (stage !== 'develop' && stage !== 'release' && stage !== 'prod') {
-      console.log('Invalid value for stage in api');
+      logger.error('Invalid value for stage in api', {value: stage});
       throw 'Invalid value for stage. Acceptable values are develop or prod.';
     } else {
-      this.stage = stage;
+      this.stage   = stage;
+      this.baseUrl = process.env.VL_API_URL || 'https://' + stage + '-api.viewlift.com';
     }
     // Set the identity:
     if (!identity) {
-      console.log('Identity not set in api');
+      logger.error('Identity not set in api');
       throw 'Identity not set!';
     } else if (identity !== 'anonymous' && identity !== 'anon' && identity !== 'server') {
-      console.log('invalid identity set in api');
+      logger.error('Invalid identity set in api', {value: identity});
       throw 'Invalid value for identity. Acceptable values are anonymous, anon, or server.';
     } else {
       this.identity = identity;
@@ -43,353 +53,78 @@ class ViewLift {
   }
 
   /**
-   * Gets video metadata from VL API for specified video ID.
+   * Gets the data of a content item from VL API, from the API source declared by its content type
+   * (see `api` in elasticsearch_common/registry).
    *
+   * @param    {string} type - The content type name, e.g. videos.
    * @param    {string} site - The site hosting the content.
-   * @param    {string} id   - The video ID to retrieve metadata for.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        The video metadata.
-   * @rejects  {RequestError}  Error making request to VL API.
-   */
-  getVideo(site, id) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      self.generateToken(site)              // Generate API token 
-        .then((token) => {
-          self._getVideo(site, id, token)   // Make the Get Video request.
-            .then(meta => {
-              fulfill(meta);                // Return the video metadata.
-          }).catch(e => {
-            console.log("Error getting video metadata from API - ", e);
-            reject(e);                      // Error getting metadata, return error.
-          });
-      }).catch(e => {
-        console.log("Error getting API token for site %s - ", site, e);
-        reject(e);                          // Error getting VL API token, return error.
-      });
-    });
-  }
-
-  /**
-   * Gets video data from VL API for specified video ID.
-   * Helper for getVideo().
-   *
-   * @param    {string} site  - The site the video belongs to
-   * @param    {string} id    - The video ID to retrieve data for.
-   * @param    {string} token - The ViewLift API token.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        Object containing the video data.
-   * @rejects  {RequestError}  Error making request to API.
-   * @rejects  {ParseError}    Error parsing the JSON API response.
-   */
-  _getVideo(site, id, token) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      Request({
-        url: 'https://' + self.stage + '-api.viewlift.com/content/videos',
-        method: 'GET',
-        qs: { 
-          site: site, 
-          ids:  id
-        },
-        headers: { 'Authorization': token }
-      }, (err, res, body) => {
-        if (err) {                              // If internal error making HTTP request...
-          console.log("Internal Error getting data for video: %s - ", id, err);
-          reject(err);                          // Return error.
-        } else if (res.statusCode >= 400) {     // If API returns non-success status code...
-          console.log("API returned a %d error status while getting data for site/video: %s/%s - ", res.statusCode, site, id, body);
-          reject(res);                          // Return response info.
-        } else {                                // Else request OK, parse metadata...
-          try {                                 // Attempt to parse metadata from JSON...
-            const meta = JSON.parse(body).records[0];
-            fulfill(meta);                      // Return the metadata!
-          } catch (e) {
-            console.log("Error parsing data from JSON for site/video %s/%s - ", site, id, e);
-            reject(body);                        // Return response info. 
-          }
-        }
-      });
-    });
-  }
-
-  /**
-   * Gets article data from VL API for specified article ID.
-   *
-   * @param    {string} site - The site the article belongs to
-   * @param    {string} id   - The article ID to retrieve data for.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        The article data.
-   * @rejects  {RequestError}  Error making request to VL API.
-   */
-  getArticle(site, id) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      self.generateToken(site)              // Generate API token 
-        .then((token) => {
-          self._getArticle(site, id, token)   // Make the Get Article request.
-            .then(meta => {
-              fulfill(meta);                // Return the article data.
-          }).catch(e => {
-            console.log("Error getting article data from API - ", e);
-            reject(e);                      // Error getting data, return error.
-          });
-      }).catch(e => {
-        console.log("Error getting API token for site %s - ", site, e);
-        reject(e);                          // Error getting VL API token, return error.
-      });
-    });
-  }
-
-  /**
-   * Gets article data from VL API for specified article ID.
-   * Helper for getArticle().
-   *
-   * @param    {string} site  - The site the article belongs to
-   * @param    {string} id    - The article ID to retrieve metadata for.
-   * @param    {string} token - The ViewLift API token.
+   * @param    {string} id   - The content ID to retrieve data for.
+   * @param    {Logger} log  - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        Object containing the article data.
-   * @rejects  {RequestError}  Error making request to API.
-   * @rejects  {ParseError}    Error parsing the JSON API response.
-   */
-  _getArticle(site, id, token) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      Request({
-        url: 'https://' + self.stage + '-api.viewlift.com/content/article',
-        method: 'GET',
-        qs: { 
-          id:   id,
-          site: site, 
-        },
-        headers: { 'Authorization': token }
-      }, (err, res, body) => {
-        if (err) {                              // If internal error making HTTP request...
-          console.log("Internal Error getting data for article: %s - ", id, err);
-          reject(err);                          // Return error.
-        } else if (res.statusCode >= 400) {     // If API returns non-success status code...
-          console.log("API returned a %d error status while getting data for site/article: %s/%s - ", res.statusCode, site, id, body);
-          reject(res);                          // Return response info.
-        } else {                                // Else request OK, parse data...
-          try {                                 // Attempt to parse data from JSON...
-            const data = JSON.parse(body);
-            fulfill(data);                      // Return the data!
-          } catch (e) {
-            console.log("Error parsing data from JSON for site/article %s/%s - ", site, id, e);
-            reject(body);                        // Return response info. 
-          }
-        }
-      });
-    });
-  }
-
-  /**
-   * Gets event data from VL API for specified article ID.
-   *
-   * @param    {string} site - The site the event belongs to
-   * @param    {string} id   - The event ID to retrieve data for.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        The event data.
+   * @fulfills {object}        The content data.
    * @rejects  {RequestError}  Error making request to VL API.
    */
-  getEvent(site, id) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      self.generateToken(site)              // Generate API token 
-        .then((token) => {
-          self._getEvent(site, id, token)   // Make the Get Event request.
-            .then(meta => {
-              fulfill(meta);                // Return the event data.
-          }).catch(e => {
-            console.log("Error getting event data from API - ", e);
-            reject(e);                      // Error getting data, return error.
-          });
-      }).catch(e => {
-        console.log("Error getting API token for site %s - ", site, e);
-        reject(e);                          // Error getting VL API token, return error.
-      });
-    });
-  }
-
-  /**
-   * Gets event data from VL API for specified article ID.
-   * Helper for getEvent().
-   *
-   * @param    {string} site  - The site the event belongs to
-   * @param    {string} id    - The event ID to retrieve metadata for.
-   * @param    {string} token - The ViewLift API token.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        Object containing the event data.
-   * @rejects  {RequestError}  Error making request to API.
-   * @rejects  {ParseError}    Error parsing the JSON API response.
-   */
-  _getEvent(site, id, token) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      Request({
-        url: 'https://' + self.stage + '-api.viewlift.com/content/event',
-        method: 'GET',
-        qs: { 
-          id:   id,
-          site: site, 
-        },
-        headers: { 'Authorization': token }
-      }, (err, res, body) => {
-        if (err) {                              // If internal error making HTTP request...
-          console.log("Internal Error getting data for event: %s - ", id, err);
-          reject(err);                          // Return error.
-        } else if (res.statusCode >= 400) {     // If API returns non-success status code...
-          console.log("API returned a %d error status while getting data for site/event: %s/%s - ", res.statusCode, site, id, body);
-          reject(res);                          // Return response info.
-        } else {                                // Else request OK, parse data...
-          try {                                 // Attempt to parse data from JSON...
-            const data = JSON.parse(body);
-            fulfill(data);                      // Return the data!
-          } catch (e) {
-            console.log("Error parsing data from JSON for site/event %s/%s - ", site, id, e);
-            reject(body);                        // Return response info. 
-          }
-        }
-      });
-    });
-  }
-
-  /**
-   * Gets audio data from VL API for specified audio ID.
-   *
-   * @param    {string} site - The site the audio belongs to
-   * @param    {string} id   - The audio ID to retrieve data for.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        The audio data.
-   * @rejects  {RequestError}  Error making request to VL API.
-   */
-  getAudio(site, id) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      self.generateToken(site)              // Generate API token 
-        .then((token) => {
-          self._getAudio(site, id, token)   // Make the Get Audio request.
-            .then(meta => {
-              fulfill(meta);                // Return the audio data.
-          }).catch(e => {
-            console.log("Error getting audio data from API - ", e);
-            reject(e);                      // Error getting data, return error.
-          });
-      }).catch(e => {
-        console.log("Error getting API token for site %s - ", site, e);
-        reject(e);                          // Error getting VL API token, return error.
-      });
-    });
-  }
-
-  /**
-   * Gets audio data from VL API for specified audio ID.
-   * Helper for getAudio().
-   *
-   * @param    {string} site  - The site the audio belongs to
-   * @param    {string} id    - The audio ID to retrieve metadata for.
-   * @param    {string} token - The ViewLift API token.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        Object containing the audio data.
-   * @rejects  {RequestError}  Error making request to API.
-   * @rejects  {ParseError}    Error parsing the JSON API response.
-   */
-  _getAudio(site, id, token) {
-    const self = this;
-    return new Promise((fulfill, reject) => {
-      Request({
-        url: 'https://' + self.stage + '-api.viewlift.com/content/audio',
-        method: 'GET',
-        qs: { 
-          id:   id,
-          site: site, 
-        },
-        headers: { 'Authorization': token }
-      }, (err, res, body) => {
-        if (err) {                              // If internal error making HTTP request...
-          console.log("Internal Error getting data for audio: %s - ", id, err);
-          reject(err);                          // Return error.
-        } else if (res.statusCode >= 400) {     // If API returns non-success status code...
-          console.log("API returned a %d error status while getting data for site/audio: %s/%s - ", res.statusCode, site, id, body);
-          reject(res);                          // Return response info.
-        } else {                                // Else request OK, parse data...
-          try {                                 // Attempt to parse data from JSON...
-            const data = JSON.parse(body);
-            fulfill(data);                      // Return the data!
-          } catch (e) {
-            console.log("Error parsing data from JSON for site/audio %s/%s - ", site, id, e);
-            reject(body);                       // Return response info. 
-          }
-        }
-      });
-    });
-  }
-
-  /**
-   * Gets photo data from VL API for specified audio ID.
-   *
-   * @param    {string} site - The site the photo belongs to
-   * @param    {string} id   - The photo ID to retrieve data for.
-   * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        The photo data.
-   * @rejects  {RequestError}  Error making request to VL API.
-   */
-  getPhoto(site, id) {
-    const self = this;
+  getContent(type, site, id, log = logger) {
+    const self       = this;
+    const definition = registry.get(type);
+    const start      = Date.now(); // Track API latency, including the token request
+    if (!definition || !definition.api) return Promise.reject('Content type ' +type +' has no VL API source.');
     return new Promise((fulfill, reject) => {
-      self.generateToken(site)              // Generate API token 
+      self.generateToken(site, log)         // Generate API token 
         .then((token) => {
-          self._getPhoto(site, id, token)   // Make the Get Photo request.
-            .then(meta => {
-              fulfill(meta);                // Return the photo data.
+          self._getContent(definition, site, id, token, log) // Make the Get Content request.
+            .then(data => {
+              metrics.timing('ApiLatency', Date.now() - start, log.context);
+              fulfill(data);                // Return the content data.
           }).catch(e => {
-            console.log("Error getting photo data from API - ", e);
+            log.error('Error getting content data from API', {contentType: definition.name, error: e});
+            metrics.timing('ApiLatency', Date.now() - start, log.context);
             reject(e);                      // Error getting data, return error.
           });
       }).catch(e => {
-        console.log("Error getting API token for site %s - ", site, e);
+        log.error('Error getting API token', {site: site, error: e});
         reject(e);                          // Error getting VL API token, return error.
       });
     });
   }
 
   /**
-   * Gets photo data from VL API for specified photo ID.
-   * Helper for getPhoto().
+   * Gets the data of a content item from VL API.
+   * Helper for getContent().
    *
-   * @param    {string} site  - The site the audio belongs to
-   * @param    {string} id    - The audio ID to retrieve metadata for.
-   * @param    {string} token - The ViewLift API token.
+   * @param    {object} definition - The content type definition, with its VL API source.
+   * @param    {string} site       - The site the content belongs to
+   * @param    {string} id         - The content ID to retrieve data for.
+   * @param    {string} token      - The ViewLift API token.
+   * @param    {Logger} log        - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<object,Error>} 
-   * @fulfills {object}        Object containing the audio data.
+   * @fulfills {object}        Object containing the content data.
    * @rejects  {RequestError}  Error making request to API.
    * @rejects  {ParseError}    Error parsing the JSON API response.
    */
-  _getPhoto(site, id, token) {
+  _getContent(definition, site, id, token, log = logger) {
     const self = this;
+    const qs   = {site: site};
+    qs[definition.api.param || 'id'] = id;
     return new Promise((fulfill, reject) => {
       Request({
-        url: 'https://' + self.stage + '-api.viewlift.com/content/photogallery',
+        url: self.baseUrl + definition.api.path,
         method: 'GET',
-        qs: { 
-          id:   id,
-          site: site, 
-        },
+        qs: qs,
         headers: { 'Authorization': token }
       }, (err, res, body) => {
         if (err) {                              // If internal error making HTTP request...
-          console.log("Internal Error getting data for photo: %s - ", id, err);
+          log.error('Internal error getting data for content', {contentType: definition.name, site: site, id: id, error: err});
           reject(err);                          // Return error.
         } else if (res.statusCode >= 400) {     // If API returns non-success status code...
-          console.log("API returned a %d error status while getting data for site/photo: %s/%s - ", res.statusCode, site, id, body);
+          log.error('API returned an error status while getting data for content', {contentType: definition.name, site: site, id: id, status: res.statusCode, body: body});
           reject(res);                          // Return response info.
         } else {                                // Else request OK, parse data...
           try {                                 // Attempt to parse data from JSON...
             const data = JSON.parse(body);
-            fulfill(data);                      // Return the data!
+            fulfill(definition.api.records ? data.records[0] : data); // Return the data!
           } catch (e) {
-            console.log("Error parsing data from JSON for site/photo %s/%s - ", site, id, e);
+            log.error('Error parsing data from JSON for content', {contentType: definition.name, site: site, id: id, error: e});
             reject(body);                       // Return response info. 
           }
         }
@@ -401,22 +136,23 @@ class ViewLift {
    * Gets a API authorization token for a specified site by identity type.
    *
    * @param    {string} site - The site requesting the token.
+   * @param    {Logger} log  - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<string,Error>} 
    * @fulfills {string}        The API authorization token.
    * @rejects  {RequestError}  Error with API request.
    * @rejects  {ParseError}    Error parsing the API JSON response.
    */
-  generateToken(site) {
+  generateToken(site, log = logger) {
     if (!site) throw 'Site not defined.';
     switch (this.identity) {
       case 'anonymous':
-        return this._getAnonymousToken(site);
+        return this._getAnonymousToken(site, log);
       case 'anon':
-        return this._getAnonymousToken(site);
+        return this._getAnonymousToken(site, log);
       case 'server':
-        return this._getServerToken(site);
+        return this._getServerToken(site, log);
       default:
-        return this._getAnonymousToken(site);
+        return this._getAnonymousToken(site, log);
     }
   }
 
@@ -425,31 +161,32 @@ class ViewLift {
    * Helper for getAnonymousToken()
    *
    * @param    {string} site - The site requesting the token.
+   * @param    {Logger} log  - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<string,Error>} 
    * @fulfills {string}        The anonymous API authorization token.
    * @rejects  {RequestError}  Error with API request.
    * @rejects  {ParseError}    Error parsing the API JSON response.
    */
-  _getAnonymousToken(site) {
+  _getAnonymousToken(site, log = logger) {
     const self = this;
     return new Promise((fulfill, reject) => {
       Request({
-        url: 'https://' + self.stage + '-api.viewlift.com/identity/anonymous-token',
+        url: self.baseUrl + '/identity/anonymous-token',
         method: 'GET',
         qs: { site: site }
       }, (err, res, body) => {
         if (err) {                              // If internal error making HTTP request...
-          console.log("Internal Error getting API token for %s - ", site, err);
+          log.error('Internal error getting API token', {site: site, error: err});
           reject(err);                          // Return error.
         } else if (res.statusCode >= 400) {     // If API returns non-success status code...
-          console.log("API returned a %d error status while getting token for %s - ", res.statusCode, site, body);
+          log.error('API returned an error status while getting token', {site: site, status: res.statusCode, body: body});
           reject(res);                          // Return response info.
         } else {                                // Else request OK, parse auth token...
           try {                                 // Attempt to parse auth token from JSON...
             const token = JSON.parse(body).authorizationToken;
             fulfill(token);                     // Return the Auth Token!
           } catch (e) {
-            console.log("Error parsing auth token from JSON for %s - ", site, e);
+            log.error('Error parsing auth token from JSON', {site: site, error: e});
             reject(res);                        // Error - Return response info. 
           }
         }
@@ -461,31 +198,32 @@ class ViewLift {
    * Gets a server API authorization token for a specified site.
    *
    * @param    {string} site  - The site requesting the token.
+   * @param    {Logger} log   - Optional logger, carrying the correlation context of the caller.
    * @return   {Promise.<string,Error>} 
    * @fulfills {string}         The server API authorization token.
    * @rejects  {RequestError}   Error with API request.
    * @rejects  {ParseError}     Error parsing the API JSON response.
    */
-  _getServerToken(site) {
+  _getServerToken(site, log = logger) {
     const self = this;
     return new Promise((fulfill, reject) => {
       Request({
-        url: 'https://' + self.stage + '-api.viewlift.com/identity/server-token',
+        url: self.baseUrl + '/identity/server-token',
         method: 'GET',
         qs: { site: site }
       }, (err, res, body) => {
         if (err) {                              // If internal error making HTTP request...
-          console.log("Internal Error getting API token for %s - ", site, err);
+          log.error('Internal error getting API token', {site: site, error: err});
           reject(err);                          // Return error.
         } else if (res.statusCode >= 400) {     // If API returns non-success status code...
-          console.log("API returned a %d error status while getting token for %s - ", res.statusCode, site, body);
+          log.error('API returned an error status while getting token', {site: site, status: res.statusCode, body: body});
           reject(res);                          // Return response info.
         } else {                                // Else request OK, parse auth token...
           try {                                 // Attempt to parse auth token from JSON...
             const token = JSON.parse(body).authorizationToken;
             fulfill(token);                     // Return the Auth Token!
           } catch (e) {
-            console.log("Error parsing auth token from JSON for %s - ", site, e);
+            log.error('Error parsing auth token from JSON', {site: site, error: e});
             reject(res);                        // Error - Return response info. 
           }
         }
@@ -0,0 +1,157 @@
+/**
+ * Dead-Letter Store
+ * Persists records that failed to index, so they can be inspected and replayed later
+ * with `tools/deadLetters.js`.
+ *
+ * Each dead letter is stored as JSON, keyed by table, site and document ID, or by the event ID of
+ * a malformed record that has none, e.g. `malformed.<eventID>`:
+ *
+ *   {
+ *     table    : 'PROD.CONTENT.ARTICLE',
+ *     site     : 'snagfilms',
+ *     id       : '1234-abcd',
+ *     action   : 'INSERT',
+ *     image    : {...},        // The raw DynamoDB image, if any
+ *     version  : 1522584000499660, // The external document version of the record, if any
+ *     record   : {...},        // The raw stream record, replayed from scratch if present
+ *     error    : {...},        // The last error
+ *     attempts : 2,            // The number of failed attempts
+ *     failedAt : '2018-04-01T12:00:00.000Z'
+ *   }
+ *
+ * Dead letters must outlive the Lambda container that wrote them, so a durable sink is required,
+ * configured with one of the following environment variables:
+ *  DEAD_LETTER_BUCKET - The S3 bucket to store dead letters in, under the `deadletter/` prefix.
+ *  DEAD_LETTER_DIR    - The directory of a filesystem sink, for local runs (see tools/replayStream.js)
+ *                       or a mounted durable filesystem such as EFS.
+ *
+ * @requires sink.js
+ * @requires s3sink.js
+ * @requires elasticsearch_common/logger
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const crypto   = require('crypto');                      // Node crypto, for keys of records without an event ID
+const FileSink = require('./sink');                      // Import filesystem sink
+const S3Sink   = require('./s3sink');                    // Import S3 sink
+const logger   = require('elasticsearch_common/logger'); // Import logger, to serialize errors
+
+class DeadLetter {
+
+  /**
+   * Constructor
+   *
+   * @param {object} sink - Optional sink to persist dead letters with, defaults to the configured S3 bucket or directory.
+   *                        Must implement `put(key, record)`, `get(key)`, `list()` and `remove(key)`.
+   */
+  constructor(sink) {
+    if (sink) {
+      this.sink = sink;
+    } else if (process.env.DEAD_LETTER_BUCKET) {
+      this.sink = new S3Sink(process.env.DEAD_LETTER_BUCKET, 'deadletter/');
+    } else if (process.env.DEAD_LETTER_DIR) {
+      this.sink = new FileSink(process.env.DEAD_LETTER_DIR);
+    } else {
+      throw 'Dead-letter sink not configured, set DEAD_LETTER_BUCKET or DEAD_LETTER_DIR.';
+    }
+  }
+
+  /**
+   * Persists a failed record, incrementing its attempt count if it has failed before.
+   *
+   * @param    {object} failure         - The failed record.
+   * @param    {string} failure.table   - The DynamoDB table the record came from.
+   * @param    {string} failure.site    - The site the document belongs to.
+   * @param    {string} failure.id      - The document ID.
+   * @param    {string} failure.action  - `INSERT` | `REMOVE` - The action that failed.
+   * @param    {object} failure.image   - The raw DynamoDB image, if any.
+   * @param    {number} failure.version - The external document version of the record, if any.
+   * @param    {object} failure.record  - The raw stream record, if any. Malformed records only have this.
+   * @param    {*}      failure.error   - The rejection the record failed with.
+   * @return   {Promise.<string,Error>}
+   * @fulfills {string}                   The dead letter key.
+   * @rejects  {Error}                    A sink error.
+   */
+  put(failure) {
+    const self = this;
+    const key  = self.key(failure);
+    return new Promise((fulfill, reject) => {
+      self.sink.get(key)
+        .then(existing => {
+          const record = {
+            table    : failure.table,
+            site     : failure.site,
+            id       : failure.id,
+            action   : failure.action,
+            image    : failure.image || null,
+            version  : failure.version || null,
+            record   : failure.record || null,
+            error    : logger.serializeError(failure.error),
+            attempts : existing ? existing.attempts + 1 : 1,
+            failedAt : new Date().toISOString()
+          };
+          return self.sink.put(key, record);
+      }).then(() => {
+        fulfill(key);
+      }).catch(e => {
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Gets the key of a failed record: its table, site & document ID, or the event ID (else sequence number)
+   * of a malformed record without them, so that malformed records never share a dead letter.
+   *
+   * @param  {object} failure - The failed record, see put().
+   * @return {string}         - The dead letter key.
+   */
+  key(failure) {
+    if (failure.table && failure.site && failure.id) return [failure.table, failure.site, failure.id].join('.');
+    const record = failure.record || {};
+    const event  = record.eventID || (record.dynamodb && record.dynamodb.SequenceNumber) || Date.now() + '-' + crypto.randomBytes(4).toString('hex');
+    return 'malformed.' + event;
+  }
+
+  /**
+   * Gets a dead letter.
+   *
+   * @param    {string} key - The dead letter key.
+   * @return   {Promise.<object|null,Error>}
+   * @fulfills {object|null}  The dead letter, or null if it doesn't exist.
+   * @rejects  {Error}        A sink error.
+   */
+  get(key) {
+    return this.sink.get(key);
+  }
+
+  /**
+   * Lists the keys of all dead letters.
+   *
+   * @return   {Promise.<array,Error>}
+   * @fulfills {array}                 Array of dead letter keys.
+   * @rejects  {Error}                 A sink error.
+   */
+  list() {
+    return this.sink.list();
+  }
+
+  /**
+   * Removes a dead letter, e.g. once it has been successfully replayed.
+   *
+   * @param    {string} key - The dead letter key.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}      True on success.
+   * @rejects  {Error}        A sink error.
+   */
+  remove(key) {
+    return this.sink.remove(key);
+  }
+
+}
+
+//** Expose this DeadLetter Class **//
+module.exports = DeadLetter;
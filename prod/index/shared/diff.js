@@ -0,0 +1,103 @@
+/**
+ * Document Diff Helpers
+ * Field-level comparison of search documents, e.g. between a stored document and a newly built one,
+ * and fingerprints to tell whether a document changed at all.
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const crypto = require('crypto'); // Node crypto, to hash fingerprints
+
+/**
+ * Flattens a document into a map of dotted field paths to leaf values.
+ * Arrays are treated as leaf values, since their elements have no stable identity.
+ *
+ * @param  {object} doc    - The document to flatten.
+ * @param  {string} prefix - The path prefix, used when recursing.
+ * @return {object}        - Map of field paths to values.
+ */
+function flatten(doc, prefix) {
+  const fields = {};
+  Object.keys(doc || {}).forEach(key => {
+    const path  = prefix ? prefix + '.' + key : key;
+    const value = doc[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(fields, flatten(value, path));
+    } else {
+      fields[path] = value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Compares two documents field by field.
+ *
+ * @param  {object} before - The current document, or null if there is none.
+ * @param  {object} after  - The new document, or null if it is being removed.
+ * @param  {array}  ignore - Optional top-level fields to compare as a whole rather than by field, e.g. `data`.
+ *                         Their values are omitted from the result.
+ * @return {object}        - The `added`, `removed` & `changed` fields, each keyed by field path.
+ */
+function diff(before, after, ignore) {
+  ignore = ignore || [];
+  const strip = doc => {
+    const _doc = Object.assign({}, doc);
+    ignore.forEach(key => { if (_doc[key] !== undefined) _doc[key] = JSON.stringify(_doc[key]); });
+    return _doc;
+  };
+  const _before = flatten(strip(before));
+  const _after  = flatten(strip(after));
+  const whole   = path => ignore.indexOf(path) !== -1; // Ignored fields are reported as `true` instead of their value
+  const changes = {added: {}, removed: {}, changed: {}};
+  Object.keys(_after).forEach(path => {
+    if (!(path in _before)) {
+      changes.added[path] = whole(path) ? true : _after[path];
+    } else if (JSON.stringify(_before[path]) !== JSON.stringify(_after[path])) {
+      changes.changed[path] = whole(path) ? true : {from: _before[path], to: _after[path]};
+    }
+  });
+  Object.keys(_before).forEach(path => {
+    if (!(path in _after)) changes.removed[path] = whole(path) ? true : _before[path];
+  });
+  return changes;
+}
+
+/**
+ * Serializes a value as JSON with its object keys sorted, so equal documents serialize
+ * the same regardless of the order their fields were built in.
+ *
+ * @param  {*}      value - The value to serialize.
+ * @return {string}       - The canonical JSON.
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonical(value[key])).join(',') + '}';
+  }
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Fingerprints a document with a hash of its canonical JSON.
+ *
+ * @param  {object} doc    - The document.
+ * @param  {array}  ignore - Optional top-level fields left out of the fingerprint, e.g. the fingerprint itself.
+ * @return {string}        - The SHA-1 hex digest.
+ */
+function fingerprint(doc, ignore) {
+  const _doc = Object.assign({}, doc);
+  (ignore || []).forEach(key => delete _doc[key]);
+  return crypto.createHash('sha1').update(canonical(_doc)).digest('hex');
+}
+
+//** Expose Diff Helpers **//
+module.exports = {
+  flatten:     flatten,
+  diff:        diff,
+  fingerprint: fingerprint
+};
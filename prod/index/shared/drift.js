@@ -0,0 +1,232 @@
+/**
+ * Mapping Drift
+ * Compares the settings & mappings of live site indices with the current index template (see
+ * templates.js), as indices created from an older template keep their old mappings. Each difference
+ * is reported with how it can be fixed:
+ *
+ *   put-mapping - The index can be fixed in place, e.g. a missing field or a changed `search_analyzer`.
+ *   reindex     - The index has to be rebuilt with `tools/reindex.js`, e.g. a field type or analyzer change.
+ *
+ * Differences are reported as:
+ *
+ *   {field: 'title', kind: 'analyzer', expected: 'edge_ngram_analyzer', actual: 'standard', fix: 'reindex'}
+ *
+ * Kinds are `missing` (a field missing from the index), `type` (a different field type), `analyzer`
+ * (a different field analyzer, or analysis setting) & `setting` (a different static index setting).
+ * Fields in the index that aren't in the template are not reported, as they do no harm.
+ *
+ * @requires templates.js
+ * @requires elasticsearch_common/mappingtypes
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Analysis setting sections compared with the template:
+const ANALYSIS = ['analyzer', 'tokenizer', 'filter', 'char_filter', 'normalizer'];
+
+// Static index settings compared with the template, which can only be changed by a reindex,
+// and their defaults, as ES only returns the settings an index was created with:
+const SETTINGS = {number_of_shards: null, routing_partition_size: '1'};
+
+class Drift {
+
+  /**
+   * Constructor
+   *
+   * @param {object}       es        - The ElasticSearch client.
+   * @param {Templates}    templates - The index template to compare with.
+   * @param {MappingTypes} types     - The mapping types of the cluster.
+   */
+  constructor(es, templates, types) {
+    this.es        = es;
+    this.templates = templates;
+    this.types     = types;
+  }
+
+  /**
+   * Compares the indices of a site, or of all sites, with the index template.
+   *
+   * @param    {string} site - Optional, the site to check, including its plain index & versions created before the
+   *                           `content_` prefix. Defaults to every versioned site index.
+   * @return   {Promise.<array,Error>}
+   * @fulfills {array}         The `index` & its `drift`, an array of differences, for each index.
+   * @rejects  {Error}         An ES Error.
+   */
+  check(site) {
+    const self     = this;
+    const template = self.templates.body();
+    const prefix   = self.templates.prefix;
+    const params   = {index: site ? [site, site + '_v*', prefix + site + '_v*'] : [prefix + '*'], ignoreUnavailable: true, allowNoIndices: true};
+    return Promise.all([self.es.indices.getMapping(params), self.es.indices.getSettings(params)])
+      .then(results => {
+        const mappings = results[0];
+        const settings = results[1];
+        return Object.keys(mappings).sort().map(index => {
+          const drift = [];
+          const actual = settings[index] ? settings[index].settings.index || {} : {};
+          self._compareSettings(template.settings, actual, drift);
+          self._compareProperties('', properties(template.mappings), properties(mappings[index].mappings), drift);
+          return {index: index, drift: drift};
+        });
+    });
+  }
+
+  /**
+   * Fixes the differences of an index that can be fixed in place, by putting the template mapping
+   * of each top-level field that has them. Fields that also have differences needing a reindex are
+   * skipped, as ES would reject the whole put-mapping.
+   *
+   * @param    {object} result - A result of `check()`, with the `index` & its `drift`.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}          The `index`, and the top-level fields `fixed` & `skipped`.
+   * @rejects  {Error}           An ES Error.
+   */
+  fix(result) {
+    const self     = this;
+    const template = properties(self.templates.body().mappings);
+    const roots    = field => field.split('.')[0];
+    const reindex  = result.drift.filter(d => d.fix === 'reindex').map(d => roots(d.field));
+    const fixable  = result.drift.filter(d => d.fix === 'put-mapping').map(d => roots(d.field));
+    const fixed    = unique(fixable.filter(field => reindex.indexOf(field) === -1));
+    const skipped  = unique(fixable.filter(field => reindex.indexOf(field) !== -1));
+    if (!fixed.length) return Promise.resolve({index: result.index, fixed: fixed, skipped: skipped});
+    const body = {properties: fixed.reduce((props, field) => {
+      props[field] = template[field];
+      return props;
+    }, {})};
+    const request = self.types.typeless
+      ? self.es.transport.request({method: 'PUT', path: '/' +encodeURIComponent(result.index)+ '/_mapping', body: body})
+      : self.es.indices.putMapping(self.types.params({index: result.index, body: body}));
+    return request.then(() => ({index: result.index, fixed: fixed, skipped: skipped}));
+  }
+
+  /**
+   * Compares the analysis & static settings of an index with the template's.
+   *
+   * @param {object} expected - The template settings.
+   * @param {object} actual   - The `index` settings of the live index.
+   * @param {array}  drift    - The differences found, added to.
+   */
+  _compareSettings(expected, actual, drift) {
+    const analysis = expected.analysis || {};
+    ANALYSIS.forEach(section => {
+      Object.keys(analysis[section] || {}).forEach(name => {
+        const current = (actual.analysis || {})[section] || {};
+        const field   = 'analysis.' +section+ '.' +name;
+        if (!current[name]) {
+          drift.push({field: field, kind: 'analyzer', expected: analysis[section][name], actual: null, fix: 'reindex'});
+        } else if (JSON.stringify(normalize(analysis[section][name])) !== JSON.stringify(normalize(current[name]))) {
+          drift.push({field: field, kind: 'analyzer', expected: analysis[section][name], actual: current[name], fix: 'reindex'});
+        }
+      });
+    });
+    Object.keys(SETTINGS).forEach(name => {
+      const value   = (expected.index || {})[name];
+      const current = actual[name] !== undefined ? actual[name] : SETTINGS[name];
+      if (value !== undefined && String(value) !== String(current)) {
+        drift.push({field: 'index.' +name, kind: 'setting', expected: String(value), actual: current, fix: 'reindex'});
+      }
+    });
+  }
+
+  /**
+   * Compares the field mappings of an object with the template's, recursing into
+   * object properties & multi-fields.
+   *
+   * @param {string} path     - The path of the object, empty for the document root.
+   * @param {object} expected - The template field mappings, by field name.
+   * @param {object} actual   - The live field mappings, by field name.
+   * @param {array}  drift    - The differences found, added to.
+   */
+  _compareProperties(path, expected, actual, drift) {
+    Object.keys(expected || {}).forEach(name => {
+      this._compareField(path ? path + '.' + name : name, expected[name], (actual || {})[name], drift);
+    });
+  }
+
+  /**
+   * Compares a field mapping with the template's.
+   *
+   * @param {string} field    - The field path.
+   * @param {object} expected - The template field mapping.
+   * @param {object} actual   - The live field mapping, if any.
+   * @param {array}  drift    - The differences found, added to.
+   */
+  _compareField(field, expected, actual, drift) {
+    if (!actual) {
+      drift.push({field: field, kind: 'missing', expected: describe(expected), actual: null, fix: 'put-mapping'});
+      return;
+    }
+    if (describe(expected) !== describe(actual)) {
+      drift.push({field: field, kind: 'type', expected: describe(expected), actual: describe(actual), fix: 'reindex'});
+      return; // The rest of the field is moot until it is reindexed
+    }
+    if (expected.type === 'text') {
+      // The index analyzer can't be changed on an existing field, the search analyzer can:
+      const analyzer = mapping => mapping.analyzer || 'default';
+      const search   = mapping => mapping.search_analyzer || analyzer(mapping);
+      if (analyzer(expected) !== analyzer(actual)) {
+        drift.push({field: field, kind: 'analyzer', expected: analyzer(expected), actual: analyzer(actual), fix: 'reindex'});
+      }
+      if (search(expected) !== search(actual)) {
+        drift.push({field: field, kind: 'analyzer', expected: search(expected), actual: search(actual), fix: 'put-mapping'});
+      }
+    }
+    this._compareProperties(field, expected.properties, actual.properties, drift);
+    this._compareProperties(field, expected.fields, actual.fields, drift);
+  }
+
+}
+
+/**
+ * Gets the field mappings of an index's or template's mappings, with or without a mapping type.
+ *
+ * @param  {object} mappings - The mappings, e.g. `{content: {properties: {...}}}` or `{properties: {...}}`.
+ * @return {object}          - The field mappings, by field name.
+ */
+function properties(mappings) {
+  if (!mappings) return {};
+  if (mappings.properties) return mappings.properties;
+  const type = Object.keys(mappings)[0];
+  return type && mappings[type].properties || {};
+}
+
+/**
+ * Describes the type of a field mapping, e.g. `keyword`, `object` or `object (disabled)`.
+ *
+ * @param  {object} mapping - The field mapping.
+ * @return {string}         - The description.
+ */
+function describe(mapping) {
+  const type = mapping.type || (mapping.properties || mapping.enabled !== undefined ? 'object' : 'unknown');
+  return mapping.enabled === false ? type + ' (disabled)' : type;
+}
+
+/**
+ * Normalizes a setting for comparison, as ES returns setting values as strings.
+ *
+ * @param  {*} value - The setting value.
+ * @return {*}       - The value, with every scalar as a string.
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((out, key) => {
+      out[key] = normalize(value[key]);
+      return out;
+    }, {});
+  }
+  return String(value);
+}
+
+/**
+ * @param  {array} values - The values.
+ * @return {array}        - The values, without duplicates.
+ */
+function unique(values) {
+  return values.filter((value, i) => values.indexOf(value) === i);
+}
+
+//** Expose this Drift Class **//
+module.exports = Drift;
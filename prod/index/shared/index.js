@@ -1,16 +1,102 @@
 /**
  * ViewLift ElasticSearch DynamoDB Indexing Functions
  * Contains functions to perform common indexing operations in ElasticSearch.
+ * Documents are written through each site's write alias, see aliases.js.
+ *
+ * OPTIONAL ENVIRONMENT VARIABLES
+ *  DRY_RUN      - Set to `true` to never modify ElasticSearch. Inserts & removes are logged instead,
+ *                 with a field-level diff against the currently stored document.
+ *  ES_REFRESH   - The refresh policy of writes: `true`, `false` or `wait_for`. Defaults to `false`,
+ *                 leaving refreshes to the index refresh interval.
+ *  SPOOL_BUCKET - The S3 bucket to spool operations in while the cluster is unavailable, or SPOOL_DIR,
+ *  or             a durable directory to spool them in instead (see spool.js). Spooling is disabled
+ *  SPOOL_DIR      unless one is set.
  *
  * @requires elasticsearch
+ * @requires elasticsearch_common/client
+ * @requires elasticsearch_common/logger
+ * @requires metrics.js
+ * @requires diff.js
+ * @requires aliases.js
+ * @requires templates.js
+ * @requires drift.js
+ * @requires elasticsearch_common/mappingtypes
+ * @requires spool.js
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 1.0.0
  */
 
+// Number of times ES retries an update that conflicts with a concurrent write:
+const RETRY_ON_CONFLICT = 3;
+
+// Number of spooled operations written per `_bulk` request when draining the spool:
+const DRAIN_BATCH_SIZE = 100;
+
+// Painless script adding, replacing or removing an entry of a linked document list (see linkOp()),
+// unless the entry stored for it is newer:
+const LINK_SCRIPT = [
+  'if (ctx._source[params.field] == null) { ctx._source[params.field] = []; }',
+  'def entries = ctx._source[params.field];',
+  'boolean newer = false;',
+  'for (entry in entries) {',
+  '  if (entry.id == params.key && entry.streamVersion != null && params.version != null && entry.streamVersion > params.version) { newer = true; }',
+  '}',
+  'if (newer) {',
+  '  ctx.op = "noop";',
+  '} else {',
+  '  entries.removeIf(entry -> entry.id == params.key);',
+  '  if (params.entry != null) {',
+  '    Map entry = new HashMap(params.entry);',
+  '    entry.streamVersion = params.version;',
+  '    entries.add(entry);',
+  '  }',
+  '}'
+].join('\n');
+
+// Painless script setting propagated fields on each document matching a query (see propagateOp()):
+const PROPAGATE_SCRIPT = 'ctx._source.putAll(params.doc);';
+
+// Unified cross-type fields, copied from the prefixed field of each content type (see unified()):
+const UNIFIED_FIELDS = ['title', 'description', 'primaryCategory', 'categories', 'tags', 'people', 'author'];
+
+// Painless script backfilling the unified fields of a document copied by a reindex, from the prefixed
+// fields of its `type`, for documents written before the unified fields (see Aliases.reindex()):
+const UNIFIED_SCRIPT = [
+  'if (ctx._source.type != null) {',
+  '  for (field in params.fields) {',
+  '    if (!ctx._source.containsKey(field)) {',
+  '      ctx._source[field] = ctx._source.get(ctx._source.type + field.substring(0, 1).toUpperCase() + field.substring(1));',
+  '    }',
+  '  }',
+  '}'
+].join('\n');
+
+// Painless script applying a partial update, unless the stored document is newer (see updateOp()):
+const UPDATE_SCRIPT = [
+  'if (ctx._source.streamVersion != null && params.version != null && ctx._source.streamVersion > params.version) {',
+  '  ctx.op = "noop";',
+  '} else {',
+  '  ctx._source.putAll(params.doc);',
+  '  if (ctx._source.data == null) { ctx._source.data = [:]; }',
+  '  ctx._source.data.putAll(params.data);',
+  '  for (key in params.removed) { ctx._source.data.remove(key); }',
+  '  if (params.version != null) { ctx._source.streamVersion = params.version; }',
+  '}'
+].join('\n');
+
 // Load Dependencies:
-const ES       = require('elasticsearch'); // ElasticSearch SDK
-const template = require('./template');    // Index Settings & Mappings
+const ES          = require('elasticsearch');                     // ElasticSearch SDK
+const client      = require('elasticsearch_common/client');       // Resilient ES client wrapper & error classification
+const logger      = require('elasticsearch_common/logger');       // Structured JSON logger
+const metrics     = require('./metrics');                         // Indexing metrics collector
+const diff        = require('./diff').diff;                       // Document diff helper
+const fingerprint = require('./diff').fingerprint;                // Document fingerprint helper
+const Aliases     = require('./aliases');                         // Versioned site indices & their aliases
+const Templates   = require('./templates');                       // Index template, built from the content type registry
+const Drift       = require('./drift');                           // Mapping drift of live indices from the index template
+const Types       = require('elasticsearch_common/mappingtypes'); // Version-aware mapping types, for ES 7+ & OpenSearch
+const Spool       = require('./spool');                           // Spool of operations written once the cluster is available
 
 class Index {
 
@@ -33,62 +119,393 @@ class Index {
     } else {
       this.version = version;
     }
-    // Instantiate new ES Client:
-    this.es = new ES.Client({
+    // Set Dry Run Mode & Refresh Policy:
+    this.dryRun  = process.env.DRY_RUN === 'true';
+    this.refresh = process.env.ES_REFRESH || 'false';
+    this.types   = new Types(this.version);
+    this.spool   = process.env.SPOOL_BUCKET || process.env.SPOOL_DIR ? new Spool() : null; // Replace to spool with another sink
+    // Instantiate new ES Client, Retried with Backoff:
+    this.es = client.resilient(new ES.Client({
       host:         this.endpoint, 
-      log:          'error',
-      apiVersion:   this.version,
+      log:          logger.esLog(),
+      apiVersion:   this.types.apiVersion,
+      maxRetries:   0,     // Retries are made by the client wrapper, with backoff
       keepAlive:    false  // DO NOT CHANGE - LIBRARY CRASHSES WITHOUT THIS SET TO FALSE @see https://github.com/elastic/elasticsearch-js/issues/521 
-    }); 
+    }), logger); 
+    this.templates = new Templates(this.es, this.types);
+    this.aliases   = new Aliases(this.es, this.templates, {source: UNIFIED_SCRIPT, lang: 'painless', params: {fields: UNIFIED_FIELDS}});
+    this.drift     = new Drift(this.es, this.templates, this.types);
+  }
+
+  /**
+   * Removes or Inserts a document, by preparing & writing its operation.
+   *
+   * @param    {string} action - `INSERT` | `REMOVE` - insert or remove the doc.
+   * @param    {string} site   - The site the content belongs to, also the name of the index.
+   * @param    {string} id     - The ID of the content to insert, or the ID of the document to remove.
+   * @param    {object} image  - The raw DynamoDB image.
+   * @param    {Logger} log    - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}  - The result of the write, see write()
+   * @rejects  {Error}   - Error on fail
+   */
+  index(action, site, id, image, log = logger) {
+    return this.prepare(action, site, id, image, log)
+      .then(op => this.write(op, log));
+  }
+
+  /**
+   * Prepares the operation to perform for a record. Implemented by each content class.
+   * Operations are plain objects, so a batch of them can be written with one `_bulk` request per index:
+   *
+   *   {action: 'INSERT', index: 'snagfilms', id: '1234-abcd', doc: {...}, version: 1522584000499660}
+   *   {action: 'UPDATE', index: 'snagfilms', id: '1234-abcd', doc: {...}, partial: {...}, version: 1522584000499660}
+   *   {action: 'REMOVE', index: 'snagfilms', id: '1234-abcd', version: 1522584000499660}
+   *
+   * @param    {string} action - `INSERT` | `REMOVE` - insert or remove the doc.
+   * @param    {string} site   - The site the content belongs to, also the name of the index.
+   * @param    {string} id     - The content ID.
+   * @param    {object} image    - The raw DynamoDB image.
+   * @param    {Logger} log      - Optional logger, carrying the correlation context of the caller.
+   * @param    {object} oldImage - Optional, the raw DynamoDB image before a MODIFY, to build a partial update from.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}            The operation, with its `action`, `index`, `id` & `doc`.
+   * @rejects  {Error}             Error preparing the document.
+   */
+  prepare(action, site, id, image, log = logger, oldImage) {
+    return Promise.reject('prepare() is not implemented by ' +this.constructor.name);
+  }
+
+  /**
+   * Builds an update operation, sending only what changed between the previous & the new document:
+   * the top-level fields whose value changed, and the top-level keys of `data` that changed or were removed.
+   * The update API has no external versioning, so the update script skips updates older than the
+   * stored `streamVersion` instead, reported as `stale`.
+   *
+   * @param  {string} index    - The name of the index, i.e. the site.
+   * @param  {string} id       - The document ID.
+   * @param  {object} previous - The document built from the image before the change.
+   * @param  {object} doc      - The document built from the image after the change.
+   * @return {object}          - The `UPDATE` operation, with the full `doc` & its `partial` update.
+   */
+  updateOp(index, id, previous, doc) {
+    const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+    const partial = {doc: {}, data: {}, removed: []};
+    Object.keys(doc).forEach(field => {
+      if (field !== 'data' && changed(previous[field], doc[field])) partial.doc[field] = doc[field];
+    });
+    const before = previous.data || {};
+    const after  = doc.data || {};
+    Object.keys(after).forEach(key => {
+      if (changed(before[key], after[key])) partial.data[key] = after[key];
+    });
+    Object.keys(before).forEach(key => {
+      if (!(key in after)) partial.removed.push(key);
+    });
+    return {action: 'UPDATE', index: index, id: id, doc: doc, partial: partial};
+  }
+
+  /**
+   * Builds a link operation, adding or replacing the entry of a linked document in a list field of
+   * another document, e.g. an episode in its series' `seriesEpisodes`, or removing it. Attach it to
+   * the linked document's operation as one of its `links`. Links are keyed by the linked document's ID,
+   * so rewriting one is idempotent. Content classes pick up existing links when they build the document
+   * holding the list, but a search can miss a document written within the refresh interval, so a link
+   * into a document that doesn't exist yet is retried, then fails its operation to be dead-lettered &
+   * replayed once the document is indexed. Removing an entry of a document that doesn't exist succeeds.
+   *
+   * @param  {string}      index - The name of the index, i.e. the site.
+   * @param  {string}      id    - The ID of the document holding the list, e.g. the series.
+   * @param  {string}      field - The list field, e.g. `seriesEpisodes`.
+   * @param  {string}      key   - The ID of the linked document, e.g. the episode.
+   * @param  {object|null} entry - The entry of the linked document, with its `id`, or null to remove it.
+   * @return {object}            - The `LINK` operation.
+   */
+  linkOp(index, id, field, key, entry) {
+    return {action: 'LINK', index: index, id: id, field: field, key: key, entry: entry};
+  }
+
+  /**
+   * Builds a propagate operation, setting fields on every document matching a query, e.g. the title of
+   * a series on its videos. Attach it to the operation of the document the fields are copied from, as
+   * one of its `links`. Propagations are written after the `_bulk` request, and only if their operation
+   * was applied, so a stale write propagates nothing.
+   *
+   * @param  {string} index - The name of the index, i.e. the site.
+   * @param  {object} query - The query matching the documents to update, e.g. `{term: {videoSeriesId: '5678-efgh'}}`.
+   * @param  {object} doc   - The fields to set, e.g. `{videoSeriesTitle: 'Renamed Series'}`.
+   * @return {object}       - The `PROPAGATE` operation.
+   */
+  propagateOp(index, query, doc) {
+    return {action: 'PROPAGATE', index: index, query: query, doc: doc};
+  }
+
+  /**
+   * Adds the unified cross-type fields to a document, copied from its prefixed fields, e.g. `videoTitle`
+   * to `title`. Fields the content type doesn't have, e.g. the `author` of a video, are null. Mapped by
+   * template.json, they let a single query search & rank every content type.
+   *
+   * @param  {string} prefix - The field prefix of the content type, e.g. `video`. Also the document's `type`,
+   *                           which reindexing relies on to backfill older documents (see UNIFIED_SCRIPT).
+   * @param  {object} doc    - The document, with its prefixed fields.
+   * @return {object}        - The document, with the unified fields.
+   */
+  unified(prefix, doc) {
+    UNIFIED_FIELDS.forEach(field => {
+      const value = doc[prefix + field.charAt(0).toUpperCase() + field.slice(1)];
+      doc[field]  = value !== undefined ? value : null;
+    });
+    return doc;
+  }
+
+  /**
+   * Writes a single operation.
+   *
+   * @param    {object} op  - The operation to write.
+   * @param    {Logger} log - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}       The result of the operation: `{op, ok, stale}`.
+   * @rejects  {Error}        An ES Error.
+   */
+  write(op, log = logger) {
+    let written;
+    if (op.links && op.links.length) {
+      // Write the operation & its links together:
+      return this._write([op], log).then(results => results[0].ok ? results[0] : Promise.reject(results[0].error));
+    } else if (op.action === 'UPDATE') {
+      written = this.update(op.index, op.id, op.partial, op.doc, log, op.version);
+    } else if (op.action === 'INSERT') {
+      written = this.insert(op.index, op.id, op.doc, log, op.version).then(() => true);
+    } else {
+      written = this.remove(op.index, op.id, log, op.version).then(() => true);
+    }
+    return written.then(applied => ({op: op, ok: true, stale: !applied}), e => {
+      if (this._isStale(op, e.status)) return {op: op, ok: true, stale: true};
+      return Promise.reject(e);
+    });
+  }
+
+  /**
+   * Writes a batch of operations, with one `_bulk` request per index.
+   * Never rejects; the result of each operation is reported individually, so that failed
+   * operations can be retried on their own. When a spool is configured, operations that failed
+   * because the cluster is unavailable are spooled instead, see drain().
+   *
+   * @param    {array}  ops - The operations to write.
+   * @param    {Logger} log - Optional logger, carrying the correlation context of the caller.
+   * @return   {Promise.<array>}
+   * @fulfills {array}        The result of each operation, in the same order as `ops`:
+   *                          `{op, ok, stale, unchanged, spooled, status, error}`. Classify a failed result's
+   *                          `error` with `client.classify()` to decide whether to retry it.
+   */
+  bulk(ops, log = logger) {
+    const self = this;
+    if (self.dryRun) {
+      return Promise.all(ops.map(op => self._dryRun(op.action, op.index, op.id, op.doc || null, log)
+        .then(() => (op.links || []).forEach(link => link.action === 'PROPAGATE'
+          ? log.info('Dry run - would propagate to documents', {index: link.index, query: link.query, doc: link.doc})
+          : log.info('Dry run - would link document', {index: link.index, id: link.id, field: link.field, key: link.key, entry: link.entry})))
+        .then(() => ({op: op, ok: true, stale: false, status: null}), e => ({op: op, ok: false, stale: false, status: null, error: e}))));
+    }
+    return self._write(ops, log)
+      .then(results => self.spool ? self._spoolUnavailable(results, log) : results);
+  }
+
+  /**
+   * Writes the operations that were spooled while the cluster was unavailable, in spool order,
+   * once the cluster is healthy (not red). Stops at the first batch that finds the cluster
+   * unavailable again. Operations that fail for any other reason are left in the spool.
+   *
+   * @param    {Logger} log       - Optional logger, carrying the correlation context of the caller.
+   * @param    {number} batchSize - Optional number of operations written per `_bulk` request.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}             The number of operations `drained`, `failed` & `remaining` in the spool.
+   * @rejects  {Error}              An ES Error if the cluster is unhealthy, or a spool error.
+   */
+  drain(log = logger, batchSize = DRAIN_BATCH_SIZE) {
+    const self  = this;
+    const count = {drained: 0, failed: 0, remaining: 0};
+    if (!self.spool || self.dryRun) return Promise.resolve(count);
+    return self.spool.list()
+      .then(keys => {
+        if (!keys.length) return count;
+        return self.es.cluster.health({})
+          .then(health => {
+            if (health.status === 'red') return Promise.reject('Cluster health is red.');
+            const batches = [];
+            for (let i = 0; i < keys.length; i += batchSize) batches.push(keys.slice(i, i + batchSize));
+            let available = true;
+            return batches.reduce((chain, batch) => chain.then(() => {
+              if (!available) {
+                count.remaining += batch.length; // Left for the next drain
+                return;
+              }
+              return self._drainBatch(batch, log)
+                .then(drained => {
+                  count.drained   += drained.drained;
+                  count.failed    += drained.failed;
+                  count.remaining += drained.failed + drained.unavailable;
+                  available        = !drained.unavailable;
+              });
+            }), Promise.resolve()).then(() => {
+              log.info('Drained spooled operations', count);
+              return count;
+            });
+        });
+    });
+  }
+
+  /**
+   * Writes a batch of spooled operations, removing each from the spool once written.
+   * Helper for drain()
+   *
+   * @param    {array}  keys - The spool keys of the batch, in spool order.
+   * @param    {Logger} log  - The logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}        The number of operations `drained`, `failed`, and not written as the cluster was `unavailable`.
+   * @rejects  {Error}         A spool error.
+   */
+  _drainBatch(keys, log) {
+    const self = this;
+    return Promise.all(keys.map(key => self.spool.get(key)))
+      .then(records => {
+        const spooled = keys.map((key, i) => ({key: key, op: records[i] && records[i].op})).filter(record => record.op);
+        return self._write(spooled.map(record => record.op), log)
+          .then(results => {
+            const drained = {drained: 0, failed: 0, unavailable: 0};
+            return Promise.all(results.map((result, i) => {
+              if (result.ok) {
+                drained.drained++;
+                return self.spool.remove(spooled[i].key);
+              }
+              if (client.isUnavailable(result.error)) {
+                drained.unavailable++;
+              } else {
+                drained.failed++;
+                log.error('Error draining spooled operation', {key: spooled[i].key, index: result.op.index, id: result.op.id, error: result.error});
+              }
+            })).then(() => drained);
+        });
+    });
+  }
+
+  /**
+   * Spools the operations that failed because the cluster is unavailable, reporting them as `spooled`
+   * instead of failed. Operations that can't be spooled keep their failure.
+   * Helper for bulk()
+   *
+   * @param    {array}  results - The result of each operation.
+   * @param    {Logger} log     - The logger, carrying the correlation context of the caller.
+   * @return   {Promise.<array>}
+   * @fulfills {array}            The results, with those of the spooled operations replaced.
+   */
+  _spoolUnavailable(results, log) {
+    const self = this;
+    return Promise.all(results.map(result => {
+      if (result.ok || !client.isUnavailable(result.error)) return result;
+      return self.spool.put(result.op, result.error)
+        .then(key => ({op: result.op, ok: true, stale: false, spooled: key, status: result.status}), e => {
+          log.error('Error spooling operation', {index: result.op.index, id: result.op.id, error: e});
+          return result;
+      });
+    }));
+  }
+
+  /**
+   * Writes a batch of operations & their links, with one `_bulk` request per index, and another
+   * per index for the links. Links are written after every operation of the batch, so an episode can
+   * link into a series written alongside it, and a failed link fails its operation so it's retried as a whole.
+   * Helper for bulk() & drain()
+   *
+   * @param    {array}  ops - The operations to write.
+   * @param    {Logger} log - The logger, carrying the correlation context of the caller.
+   * @return   {Promise.<array>}
+   * @fulfills {array}        The result of each operation, in the same order as `ops`. An operation
+   *                          whose links failed has the result of the first failed link.
+   */
+  _write(ops, log) {
+    const self = this;
+    // Follow each operation by its links, which take its version:
+    const flat   = [];
+    const owners = [];
+    const firsts = []; // The position of each operation, by operation
+    ops.forEach((op, i) => {
+      firsts.push(flat.length);
+      [op].concat((op.links || []).map(link => Object.assign({version: op.version}, link))).forEach(item => {
+        flat.push(item);
+        owners.push(i);
+      });
+    });
+    // Group operation positions by index. Links are written in their own `_bulk` requests, after every
+    // operation of the batch, so that a link into a document written by the same batch (e.g. an episode
+    // & its new series) finds it, and isn't replaced by it. Propagations are left until after both:
+    const groups     = {};
+    const linked     = {};
+    const propagated = [];
+    flat.forEach((op, i) => {
+      if (op.action === 'PROPAGATE') return propagated.push(i);
+      const phase = op.action === 'LINK' ? linked : groups;
+      if (!phase[op.index]) phase[op.index] = [];
+      phase[op.index].push(i);
+    });
+    const written = new Array(flat.length);
+    const writePhase = phase => Promise.all(Object.keys(phase).map(index => {
+      return self._bulk(index, phase[index].map(i => flat[i]), log)
+        .then(items => items.forEach((result, j) => written[phase[index][j]] = result));
+    }));
+    return writePhase(groups).then(() => writePhase(linked)).then(() => propagated.reduce((chain, i) => chain.then(() => {
+      // Only propagate what was written:
+      const owner = written[firsts[owners[i]]];
+      if (!owner.ok || owner.stale || owner.unchanged) {
+        written[i] = {op: flat[i], ok: true, stale: owner.stale, status: null};
+        return;
+      }
+      return self._propagate(flat[i], log).then(result => written[i] = result);
+    }), Promise.resolve())).then(() => {
+      const results = new Array(ops.length);
+      written.forEach((result, i) => {
+        const owner = owners[i];
+        if (!results[owner]) {
+          results[owner] = result;
+        } else if (results[owner].ok && !result.ok) {
+          results[owner] = Object.assign({}, result, {op: ops[owner]}); // A failed link fails its operation
+        }
+      });
+      return results;
+    });
   }
 
   /**
    * Inserts a new document into an idex, or update an existing one.
-   * Creates the index if it doesn't already exist. 
+   * Writes to the site's write alias, creating the site's first index version if it has none.
    *
-   * @param    {string} index - The name of the index to insert the document under.
+   * @param    {string} index - The name of the index to insert the document under, i.e. the site.
    * @param    {string} id.   - The document ID.
-   * @param    {object} doc   - The document object to insert.
+   * @param    {object} doc     - The document object to insert.
+   * @param    {Logger} log     - Optional logger, carrying the correlation context of the caller.
+   * @param    {number} version - Optional external version of the document.
    * @return   {Promise.<boolean,Error>}
    * @fulfills {boolean}        Fulfills true on insert success.
    * @rejects  {InsertError}    Error inserting the document.
    * @rejects  {IndexError}     Error creating an index. 
    */
-  insert(index, id, doc) {
+  insert(index, id, doc, log = logger, version) {
     const self = this;
+    if (self.dryRun) return self._dryRun('INSERT', index, id, doc, log);
     return new Promise((fulfill, reject) => {
-      // Check if index exists:
-      self.es.indices.exists({index: index})
-        .then(exists => {
-          // Create index if it doesn't already exist:
-          if (!exists) {
-            self._createIndex(index, template)
-              .then((res) => {
-                // Insert document into newly created index:
-                self._insert(index, id, doc)
-                  .then((success) => {
-                    fulfill(true); // fulfill when complete!
-                }).catch(e => {
-                  console.log('Error inserting document %s', id);
-                  reject(e);
-                });
-            }).catch(e => {
-              console.log('Error creating index for %s.', index);
-              reject(e);
-            });
-          } else {
-            // Else Insert document into existing index:
-            self._insert(index, id, doc)
-              .then((success) => {
-                fulfill(true); // fulfill when complete!
-            }).catch(e => {
-              console.log('Error inserting document %s', id);
-              reject(e);
-            });
-          }
+      // Resolve the index to write to, creating it if it doesn't already exist:
+      self._writeIndex(index, log)
+        .then(target => {
+          // Insert document into the index:
+          self._insert(target, id, doc, log, version)
+            .then((success) => {
+              fulfill(true); // fulfill when complete!
+          }).catch(e => {
+            if (!self._isStale({version: version}, e.status)) log.error('Error inserting document', {index: index, id: id, error: e});
+            reject(e);
+          });
       }).catch(e => {
-        console.log('Error checking if index exists for %s', index);
-        reject (e);   
+        reject(e);
       });
     });
   }
@@ -99,51 +516,433 @@ class Index {
    * 
    * @param    {string} index - The name of the index to insert the document under.
    * @param    {string} id.   - The document ID.
-   * @param    {object} doc   - The document object to insert.
+   * @param    {object} doc     - The document object to insert.
+   * @param    {Logger} log     - Optional logger, carrying the correlation context of the caller.
+   * @param    {number} version - Optional external version of the document.
    * @return   {Promise.<string,Error>}
    * @fulfills {string}         Response body from ES insert request.
    * @rejects  {Error}          An ES error.
    */
-  _insert(index, id, doc) {
-    return this.es.index({
+  _insert(index, id, doc, log = logger, version) {
+    return this._timed(() => this.es.index(this._versioned(this.types.doc({
       index:   index,
-      type:    'content',
       id:      id,
-      body:    doc,
-      refresh: true
+      body:    this._stamped(doc, version),
+      refresh: this.refresh
+    }), version)), log);
+  }
+
+  /**
+   * Partially updates an existing document, through the site's write alias. Inserts the full
+   * document instead if it doesn't exist yet, e.g. when the content was closed until now.
+   *
+   * @param    {string} index   - The name of the index, i.e. the site.
+   * @param    {string} id      - The document ID.
+   * @param    {object} partial - The partial update, see updateOp().
+   * @param    {object} doc     - The full document, inserted if the document doesn't exist.
+   * @param    {Logger} log     - Optional logger, carrying the correlation context of the caller.
+   * @param    {number} version - Optional external version of the update.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}          True if applied, false if skipped as the stored document is newer.
+   * @rejects  {Error}            An ES Error.
+   */
+  update(index, id, partial, doc, log = logger, version) {
+    const self = this;
+    if (self.dryRun) return self._dryRun('UPDATE', index, id, doc, log);
+    const body = {script: self._updateScript(partial, doc, version)};
+    // Typeless clusters have no `<index>/_doc/<id>/_update` endpoint, and the client's API spec no other:
+    const request = target => self.types.typeless
+      ? self.es.transport.request({
+          method: 'POST',
+          path:   '/' +encodeURIComponent(target)+ '/_update/' +encodeURIComponent(id),
+          query:  {retry_on_conflict: RETRY_ON_CONFLICT, refresh: self.refresh},
+          body:   body
+        })
+      : self.es.update(self.types.doc({
+          index:           target,
+          id:              id,
+          body:            body,
+          retryOnConflict: RETRY_ON_CONFLICT,
+          refresh:         self.refresh
+        }));
+    return self._writeIndex(index, log)
+      .then(target => self._timed(() => request(target), log))
+      .then(res => res.result !== 'noop', e => {
+        if (e.status === 404) return self.insert(index, id, doc, log, version); // Not indexed yet
+        log.error('Error updating document', {index: index, id: id, error: e});
+        return Promise.reject(e);
     });
   }
 
   /**
-   * Remove an existing document from the specified index.
+   * Remove an existing document from the specified index, through the site's write alias.
    *
-   * @param    {string} index - The name of the index to remove the document from.
+   * @param    {string} index - The name of the index to remove the document from, i.e. the site.
+   * @param    {string} id      - The document ID.
+   * @param    {Logger} log     - Optional logger, carrying the correlation context of the caller.
+   * @param    {number} version - Optional external version of the removal.
    * @return   {Promise.<string,Error>}
    * @fulfills {string}       Response body from ES delete request.
    * @rejects  {Error}        An ES Error.
    */
-  remove(index, id) {
-    return this.es.delete({
-      index:   index,
-      type:    'content',
-      id:      id,
-      refresh: true
+  remove(index, id, log = logger, version) {
+    const self = this;
+    if (self.dryRun) return self._dryRun('REMOVE', index, id, null, log);
+    return self._writeIndex(index, log)
+      .then(target => self._timed(() => self.es.delete(self._versioned(self.types.doc({
+        index:   target,
+        id:      id,
+        refresh: self.refresh
+      }), version)), log)).catch(e => {
+      if (!self._isStale({version: version}, e.status)) log.error('Error removing document', {index: index, id: id, error: e});
+      return Promise.reject(e);
+    });
+  }
+
+  /**
+   * Writes the operations for a single index with one `_bulk` request.
+   * Helper for bulk()
+   *
+   * @param    {string} index - The name of the index, i.e. the site.
+   * @param    {array}  ops   - The operations to write to the index.
+   * @param    {Logger} log   - The logger, carrying the correlation context of the caller.
+   * @return   {Promise.<array>}
+   * @fulfills {array}          The result of each operation, in the same order as `ops`.
+   */
+  _bulk(index, ops, log) {
+    const self = this;
+    return self._writeIndex(index, log)
+      .then(target => self._unchanged(target, ops, log)
+        .then(unchanged => {
+          // Only write the operations that change their document:
+          const changed = ops.filter((op, i) => !unchanged[i]);
+          return (changed.length ? self._bulkItems(target, changed, log, 0) : Promise.resolve([]))
+            .then(written => {
+              let j = 0;
+              return ops.map((op, i) => unchanged[i] ? {op: op, ok: true, stale: false, unchanged: true, status: null} : written[j++]);
+          });
+      }))
+      .catch(e => {
+        // The whole request failed, so every operation in it failed:
+        log.error('Error performing bulk request', {index: index, operations: ops.length, error: e});
+        return ops.map(op => ({op: op, ok: false, stale: false, status: e.status || null, error: e}));
+    });
+  }
+
+  /**
+   * Sends a `_bulk` request, then resends the items that failed with a retryable error
+   * (e.g. 429 when the bulk queue is full) with backoff, until they succeed or run out of retries.
+   * Links into a document that doesn't exist yet are resent too, see linkOp().
+   * Helper for _bulk()
+   *
+   * @param    {string} target  - The index or alias to write to.
+   * @param    {array}  ops     - The operations to write.
+   * @param    {Logger} log     - The logger, carrying the correlation context of the caller.
+   * @param    {number} attempt - The number of retries so far.
+   * @return   {Promise.<array,Error>}
+   * @fulfills {array}            The result of each operation, in the same order as `ops`.
+   * @rejects  {Error}            An ES Error failing the first request.
+   */
+  _bulkItems(target, ops, log, attempt) {
+    const self = this;
+    const body = [];
+    ops.forEach(op => {
+      if (op.action === 'LINK') {
+        body.push({update: self.types.meta({_index: target, _id: op.id, retry_on_conflict: RETRY_ON_CONFLICT})});
+        body.push({script: self._linkScript(op)});
+        return;
+      }
+      if (op.action === 'UPDATE') {
+        body.push({update: self.types.meta({_index: target, _id: op.id, retry_on_conflict: RETRY_ON_CONFLICT})});
+        body.push({script: self._updateScript(op.partial, op.doc, op.version)});
+        return;
+      }
+      const meta = self._versioned(self.types.meta({_index: target, _id: op.id}), op.version, true);
+      if (op.action === 'INSERT') {
+        body.push({index: meta});
+        body.push(self._stamped(op.doc, op.version));
+      } else {
+        body.push({delete: meta});
+      }
     });
+    return self._timed(() => self.es.bulk({body: body, refresh: self.refresh}), log)
+      .then(res => res.items.map((item, i) => {
+        const result = item.index || item.update || item.delete;
+        if (item.update && result.result === 'noop') return {op: ops[i], ok: true, stale: true, status: result.status}; // Stored document is newer
+        if (result.status < 300) return {op: ops[i], ok: true, stale: false, status: result.status};
+        if (item.delete && result.status === 404) return {op: ops[i], ok: true, stale: false, status: result.status}; // Already gone
+        if (ops[i].action === 'LINK' && result.status === 404 && ops[i].entry === null) return {op: ops[i], ok: true, stale: false, status: result.status}; // Nothing to unlink
+        if (self._isStale(ops[i], result.status)) return {op: ops[i], ok: true, stale: true, status: result.status};
+        const failed = {op: ops[i], ok: false, stale: false, status: result.status, error: {statusCode: result.status, body: result.error || result.result}};
+        if (ops[i].action === 'UPDATE' && result.status === 404) failed.missing = true; // Not indexed yet
+        if (ops[i].action === 'LINK' && result.status === 404) failed.unlinked = true; // Not indexed yet, or being written concurrently
+        return failed;
+    })).then(results => self._insertMissing(target, ops, results, log, attempt)).then(results => {
+      const retry = [];
+      results.forEach((result, i) => { if (!result.ok && (result.unlinked || client.classify(result.error) === 'retryable')) retry.push(i); });
+      if (!retry.length || attempt >= client.MAX_RETRIES) return results;
+      const delay = client.backoff(attempt);
+      log.warn('Retrying failed bulk items', {index: target, items: retry.length, attempt: attempt + 1, delay: delay});
+      return client.sleep(delay)
+        .then(() => self._bulkItems(target, retry.map(i => ops[i]), log, attempt + 1))
+        .then(retried => retried.map((result, j) => results[retry[j]] = result), e => {
+          retry.forEach(i => results[i].error = e); // Keep the results of the items that succeeded
+        })
+        .then(() => results);
+    });
+  }
+
+  /**
+   * Inserts the full documents of updates whose document doesn't exist yet, in one `_bulk` request.
+   * Helper for _bulkItems()
+   *
+   * @param    {string} target  - The index or alias to write to.
+   * @param    {array}  ops     - The operations written.
+   * @param    {array}  results - The result of each operation, with `missing` set on updates of missing documents.
+   * @param    {Logger} log     - The logger, carrying the correlation context of the caller.
+   * @param    {number} attempt - The number of retries so far.
+   * @return   {Promise.<array>}
+   * @fulfills {array}            The results, with those of the inserted documents replaced.
+   */
+  _insertMissing(target, ops, results, log, attempt) {
+    const missing = [];
+    results.forEach((result, i) => { if (result.missing) missing.push(i); });
+    if (!missing.length) return Promise.resolve(results);
+    log.info('Inserting documents missing for update', {index: target, items: missing.length});
+    return this._bulkItems(target, missing.map(i => Object.assign({}, ops[i], {action: 'INSERT'})), log, attempt)
+      .then(inserted => inserted.forEach((result, j) => results[missing[j]] = result), e => {
+        missing.forEach(i => results[i] = {op: ops[i], ok: false, stale: false, status: e.status || null, error: e});
+      })
+      .then(() => results);
   }
 
   /**
-   * Creates a new index.
+   * Builds the script of a partial update, see updateOp(). The new fingerprint is always sent.
    *
-   * @param    {string} name     - The name of the index to create.
-   * @param    {object} template - Object containing the index template.
+   * @param  {object} partial - The partial update: changed top-level fields `doc`, and `data` keys changed & `removed`.
+   * @param  {object} doc     - The full document.
+   * @param  {number} version - The external version of the update, or undefined.
+   * @return {object}         - The update script.
+   */
+  _updateScript(partial, doc, version) {
+    return {
+      source: UPDATE_SCRIPT,
+      lang:   'painless',
+      params: {
+        doc:     Object.assign({}, partial.doc, {fingerprint: this._fingerprint(doc)}),
+        data:    partial.data,
+        removed: partial.removed,
+        version: version === undefined ? null : version
+      }
+    };
+  }
+
+  /**
+   * Sets the fields of a propagate operation on every document matching its query, through the site's
+   * write alias. Documents updated concurrently are skipped rather than failing the operation, as they
+   * were just written from newer data.
+   * Helper for _write()
+   *
+   * @param    {object} op  - The `PROPAGATE` operation, with its `query` & `doc`.
+   * @param    {Logger} log - The logger, carrying the correlation context of the caller.
+   * @return   {Promise.<object>}
+   * @fulfills {object}       The result of the operation, with the number of documents `updated`.
+   */
+  _propagate(op, log) {
+    const self = this;
+    return self._writeIndex(op.index, log)
+      .then(target => self._timed(() => self.es.updateByQuery(self.types.params({
+        index:     target,
+        conflicts: 'proceed',
+        refresh:   self.refresh === 'true', // Update by query only takes a boolean refresh
+        body: {
+          query:  op.query,
+          script: {source: PROPAGATE_SCRIPT, lang: 'painless', params: {doc: op.doc}}
+        }
+      })), log))
+      .then(res => ({op: op, ok: true, stale: false, status: null, updated: res.updated}), e => {
+        log.error('Error propagating to documents', {index: op.index, query: op.query, error: e});
+        return {op: op, ok: false, stale: false, status: e.status || null, error: e};
+    });
+  }
+
+  /**
+   * Builds the script of a link, see linkOp().
+   *
+   * @param  {object} op - The `LINK` operation, with its `field`, `key`, `entry` & `version`.
+   * @return {object}    - The update script.
+   */
+  _linkScript(op) {
+    return {
+      source: LINK_SCRIPT,
+      lang:   'painless',
+      params: {
+        field:   op.field,
+        key:     op.key,
+        entry:   op.entry,
+        version: op.version === undefined ? null : op.version
+      }
+    };
+  }
+
+  /**
+   * Adds the fingerprint of a document to it, and its external version as `streamVersion`,
+   * so that partial updates can be checked against it.
+   *
+   * @param  {object} doc     - The document.
+   * @param  {number} version - The external version, or undefined for an unversioned write.
+   * @return {object}         - A copy of the document, stamped.
+   */
+  _stamped(doc, version) {
+    const stamped = Object.assign({}, doc, {fingerprint: this._fingerprint(doc)});
+    if (version !== undefined && version !== null) stamped.streamVersion = version;
+    return stamped;
+  }
+
+  /**
+   * @param  {object} doc - The document.
+   * @return {string}     - The fingerprint of its content, without the fields added when written.
+   */
+  _fingerprint(doc) {
+    return fingerprint(doc, ['fingerprint', 'streamVersion']);
+  }
+
+  /**
+   * Finds the inserts & updates whose document is unchanged (see diff.js), by reading the stored fingerprints
+   * with one `_mget` request, e.g. after MODIFY events of fields that aren't indexed, like view counters.
+   * If they can't be read, every document is treated as changed. A skipped write doesn't advance the
+   * stored version, which only matters if an older event arrives afterwards.
+   * Helper for _bulk()
+   *
+   * @param    {string} target - The index or alias written to.
+   * @param    {array}  ops    - The operations to write.
+   * @param    {Logger} log    - The logger, carrying the correlation context of the caller.
+   * @return   {Promise.<array>}
+   * @fulfills {array}           True for each operation whose document is unchanged, in the same order as `ops`.
+   */
+  _unchanged(target, ops, log) {
+    const self       = this;
+    const unchanged  = ops.map(() => false);
+    const candidates = [];
+    ops.forEach((op, i) => { if (op.action === 'INSERT' || op.action === 'UPDATE') candidates.push(i); });
+    if (!candidates.length) return Promise.resolve(unchanged);
+    const docs = candidates.map(i => self.types.meta({_index: target, _id: ops[i].id, _source: ['fingerprint']}));
+    return self._timed(() => self.es.mget({body: {docs: docs}}), log)
+      .then(res => {
+        res.docs.forEach((stored, j) => {
+          const op = ops[candidates[j]];
+          if (stored.found && stored._source && stored._source.fingerprint === self._fingerprint(op.doc)) unchanged[candidates[j]] = true;
+        });
+        return unchanged;
+    }, e => {
+      log.warn('Error reading document fingerprints, writing every document', {index: target, error: e});
+      return unchanged;
+    });
+  }
+
+  /**
+   * Adds an external version to the parameters of a write, if it has one, as `external_gte`. ES rejects
+   * a write older than the stored document with a version conflict, so out-of-order retries & concurrent
+   * invocations never overwrite newer content. Removes leave a versioned tombstone, kept for
+   * `index.gc_deletes` (60s by default). Script updates bump the stored version by 1, which the
+   * SequenceNumber tiebreaker of the version leaves room for (see Router.version()), except for
+   * links into a document in the same second as its next event.
+   *
+   * @param  {object}  params  - The request parameters, or bulk action metadata.
+   * @param  {number}  version - The external version, or undefined for an unversioned write.
+   * @param  {boolean} bulk    - True if `params` is bulk action metadata.
+   * @return {object}          - The parameters.
+   */
+  _versioned(params, version, bulk) {
+    if (version === undefined || version === null) return params;
+    params.version = version;
+    params[bulk ? 'version_type' : 'versionType'] = 'external_gte';
+    return params;
+  }
+
+  /**
+   * Checks if a failed write was rejected for being older than the stored document.
+   *
+   * @param  {object} op     - The operation, with its `version`.
+   * @param  {number} status - The HTTP status of the failure.
+   * @return {boolean}       - True for a version conflict on a versioned write.
+   */
+  _isStale(op, status) {
+    return status === 409 && op.version !== undefined && op.version !== null;
+  }
+
+  /**
+   * Resolves the index or alias to write a site's documents to (see aliases.js).
+   * Creates the site's first index version from the index template if it has none.
+   *
+   * @param    {string} index - The name of the index, i.e. the site.
+   * @param    {Logger} log   - The logger, carrying the correlation context of the caller.
    * @return   {Promise.<string,Error>}
-   * @fulfills {string}         Response body from ES delete request.
+   * @fulfills {string}         The index or alias name to write to.
    * @rejects  {Error}          An ES Error.
    */
-  _createIndex(name, template) {
-    return this.es.indices.create({
-      index: name,
-      body:  template
+  _writeIndex(index, log) {
+    return this.aliases.writeTarget(index)
+      .catch(e => {
+        log.error('Error resolving index to write to', {index: index, error: e});
+        return Promise.reject(e);
+    });
+  }
+
+  /**
+   * Logs the insert or remove that would have been performed, with a field-level diff
+   * between the currently stored document and the new one. Never modifies ElasticSearch.
+   *
+   * @param    {string} action - `INSERT` | `UPDATE` | `REMOVE` - The action that would have been performed.
+   * @param    {string} index  - The name of the index.
+   * @param    {string} id     - The document ID.
+   * @param    {object} doc    - The document that would have been inserted or updated, null on remove.
+   * @param    {Logger} log    - The logger to log the dry run with.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}         True once logged.
+   * @rejects  {Error}           An ES Error reading the current document.
+   */
+  _dryRun(action, index, id, doc, log) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      self._timed(() => self.es.get(self.types.doc({index: index, id: id})), log)
+        .then(res => res._source, e => {
+          if (e.status === 404) return null; // Document or index doesn't exist yet
+          return Promise.reject(e);
+      }).then(current => {
+        log.info('Dry run - would ' +action.toLowerCase()+ ' document', {
+          index:  index,
+          id:     id,
+          exists: !!current,
+          diff:   diff(current, doc, ['data'])
+        });
+        fulfill(true);
+      }).catch(e => {
+        log.error('Error reading current document for dry run', {index: index, id: id, error: e});
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Performs an ES request, recording its latency as the `EsLatency` metric.
+   *
+   * @param    {function} request - Function that performs the ES request, returning its promise.
+   * @param    {Logger}   log     - The logger, whose context the metric dimensions are taken from.
+   * @return   {Promise.<*,Error>}
+   * @fulfills {*}                  The ES response.
+   * @rejects  {Error}              An ES Error.
+   */
+  _timed(request, log) {
+    const start  = Date.now();
+    const record = () => metrics.timing('EsLatency', Date.now() - start, log.context);
+    return request()
+      .then(res => {
+        record();
+        return res;
+    }, e => {
+      record();
+      return Promise.reject(e);
     });
   }
 
@@ -0,0 +1,109 @@
+/**
+ * Indexing Metrics
+ * Collects counters & latencies during an invocation, and writes them to stdout in the CloudWatch
+ * embedded metric format (EMF) when flushed. On Lambda, CloudWatch extracts the metrics from the log
+ * lines automatically; when run locally, the same JSON lines are written & can be scraped from stdout.
+ *
+ * Metrics are recorded with a context, e.g. a logger's context, from which the dimensions are taken:
+ *
+ *   table       -> Table        The source DynamoDB table.
+ *   contentType -> ContentType  The content type name.
+ *   reason      -> Reason       The reason a record was skipped.
+ *
+ * Each unique set of dimensions is flushed as its own EMF line:
+ *
+ *   {"_aws":{"Timestamp":...,"CloudWatchMetrics":[{"Namespace":"SearchIndexer","Dimensions":[["Table","ContentType"]],
+ *    "Metrics":[{"Name":"Indexed","Unit":"Count"}]}]},"Table":"PROD.CONTENT.ARTICLE","ContentType":"articles","Indexed":3}
+ *
+ * OPTIONAL ENVIRONMENT VARIABLES
+ *  METRICS_NAMESPACE - The CloudWatch metrics namespace, defaults to SearchIndexer.
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Context fields recorded as dimensions, by dimension name:
+const DIMENSIONS = {Table: 'table', ContentType: 'contentType', Reason: 'reason'};
+
+class Metrics {
+
+  /**
+   * Constructor
+   *
+   * @param {string} namespace - The CloudWatch metrics namespace.
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.metrics   = {}; // Recorded metrics, grouped by dimension set
+  }
+
+  /**
+   * Increments a counter.
+   *
+   * @param {string} name    - The metric name, e.g. Indexed, Removed, Skipped, Unchanged, Spooled or Failed.
+   * @param {object} context - The context to take dimensions from.
+   * @param {number} value   - Optional amount to increment by, defaults to 1.
+   */
+  count(name, context, value) {
+    const group = this._group(context);
+    if (!group.values[name]) group.values[name] = {unit: 'Count', value: 0};
+    group.values[name].value += (value === undefined ? 1 : value);
+  }
+
+  /**
+   * Records a latency.
+   *
+   * @param {string} name    - The metric name, e.g. ApiLatency or EsLatency.
+   * @param {number} ms      - The latency in milliseconds.
+   * @param {object} context - The context to take dimensions from.
+   */
+  timing(name, ms, context) {
+    const group = this._group(context);
+    if (!group.values[name]) group.values[name] = {unit: 'Milliseconds', value: []};
+    group.values[name].value.push(ms);
+  }
+
+  /**
+   * Writes all recorded metrics to stdout in the embedded metric format, and resets them.
+   */
+  flush() {
+    const timestamp = Date.now();
+    Object.keys(this.metrics).forEach(key => {
+      const group = this.metrics[key];
+      const names = Object.keys(group.values);
+      const line  = Object.assign({
+        _aws: {
+          Timestamp: timestamp,
+          CloudWatchMetrics: [{
+            Namespace:  this.namespace,
+            Dimensions: [Object.keys(group.dimensions)],
+            Metrics:    names.map(name => ({Name: name, Unit: group.values[name].unit}))
+          }]
+        }
+      }, group.dimensions);
+      names.forEach(name => line[name] = group.values[name].value);
+      console.log(JSON.stringify(line));
+    });
+    this.metrics = {};
+  }
+
+  /**
+   * Gets the group of recorded metrics for the dimensions of a context, creating it if needed.
+   *
+   * @param  {object} context - The context to take dimensions from.
+   * @return {object}         - The metric group, with its `dimensions` & `values`.
+   */
+  _group(context) {
+    const dimensions = {};
+    Object.keys(DIMENSIONS).forEach(dimension => {
+      if (context && context[DIMENSIONS[dimension]]) dimensions[dimension] = context[DIMENSIONS[dimension]];
+    });
+    const key = JSON.stringify(dimensions);
+    if (!this.metrics[key]) this.metrics[key] = {dimensions: dimensions, values: {}};
+    return this.metrics[key];
+  }
+
+}
+
+//** Expose the Metrics Collector **//
+module.exports = new Metrics(process.env.METRICS_NAMESPACE || 'SearchIndexer');
@@ -0,0 +1,211 @@
+/**
+ * DynamoDB Table Routing
+ * Resolves the DynamoDB table a stream record came from to the content type that indexes it,
+ * along with the rules a record image must pass before it is indexed. Routes are the content
+ * type definitions from the registry, resolved by their source table.
+ *
+ * Table names are resolved from the development stage, so that `PROD.CONTENT.ARTICLE`,
+ * `RELEASE.CONTENT.ARTICLE` and `DEVELOP.CONTENT.ARTICLE` all route to articles. Tables that
+ * don't follow the `<STAGE>.CONTENT.<TABLE>` naming convention can be routed with the optional
+ * `TABLE_ROUTES` environment variable, a JSON object mapping full table names to the name of a
+ * registered content type, or the names of the content types a table holds, told apart by their
+ * `isType` predicate:
+ *
+ *   TABLE_ROUTES={"LEGACY.VIDEOS": "videos", "LEGACY.SHOWS": ["series", "seasons", "episodes"]}
+ *
+ * A route can also replace the status rule of its content type, with the `status` attribute of the
+ * image (a dot separated path, e.g. `showDetails.status`) & the statuses that are `open`; any other
+ * status is closed. The `type` can be left out for stage prefixed tables:
+ *
+ *   TABLE_ROUTES={"LEGACY.VIDEOS": {"type": "videos", "status": "status", "open": ["open", "published"]},
+ *                 "PROD.CONTENT.EVENT": {"status": "contentStatus", "open": ["open"]}}
+ *
+ * Every stage is served by this indexer, with its STAGE environment variable.
+ *
+ * @requires elasticsearch_common/registry
+ * @requires elasticsearch_common/logger
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const registry = require('elasticsearch_common/registry'); // Content type registry
+const logger   = require('elasticsearch_common/logger');   // Structured JSON logger
+
+class Router {
+
+  /**
+   * Constructor
+   *
+   * @param {string} stage  - The development stage (develop, release, prod).
+   * @param {string} config - Optional JSON routing config, mapping full table names to content type names & status rules.
+   */
+  constructor(stage, config) {
+    // Set the table name prefix for this stage:
+    if (!stage) {
+      throw 'Stage not provided.';
+    } else {
+      this.prefix = stage.toUpperCase() + '.CONTENT.';
+    }
+    // Parse & validate the routing config:
+    this.tables = {};
+    if (config) {
+      let parsed;
+      try {
+        parsed = JSON.parse(config);
+      } catch (e) {
+        logger.error('Error parsing routing config', {error: e});
+        throw 'Invalid routing config.';
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw 'Invalid routing config, expected a JSON object.';
+      Object.keys(parsed).forEach(table => {
+        this.tables[table] = this._rule(table, parsed[table]);
+      });
+    }
+  }
+
+  /**
+   * Validates the route of a table in the routing config.
+   *
+   * @param  {string}              table - The full DynamoDB table name.
+   * @param  {string|array|object} route - The content type name(s), or an object with the optional content
+   *                                       `type` name(s), and the `status` attribute & `open` statuses.
+   * @return {object}                    - The route, as `{types, status, open}`, with the content type definitions.
+   */
+  _rule(table, route) {
+    const rule = typeof route === 'string' || Array.isArray(route) ? {type: route} : route;
+    if (!rule || typeof rule !== 'object') throw 'Invalid route for table ' +table +'.';
+    const names = rule.type === undefined ? null : [].concat(rule.type);
+    if (names && !names.every(name => typeof name === 'string' && registry.get(name))) throw 'Invalid content type ' +names.join(', ') +' for table ' +table +'.';
+    if (!(names && names.length) && table.indexOf(this.prefix) !== 0) throw 'Route for table ' +table +' has no content type.';
+    if ((rule.status === undefined) !== (rule.open === undefined)) throw 'Route for table ' +table +' needs both a status & open statuses.';
+    if (rule.status !== undefined && typeof rule.status !== 'string') throw 'Invalid status attribute for table ' +table +'.';
+    if (rule.open !== undefined && !(Array.isArray(rule.open) && rule.open.every(status => typeof status === 'string'))) {
+      throw 'Invalid open statuses for table ' +table +'.';
+    }
+    return {types: names && names.length ? names.map(name => registry.get(name)) : null, status: rule.status, open: rule.open};
+  }
+
+  /**
+   * Parses the source table, site, document ID & image of a DynamoDB stream record.
+   * Throws if the record is malformed.
+   *
+   * @param  {object} record - The DynamoDB stream record.
+   * @return {object}        - The record's `table`, `site`, `id` & `image`: the NewImage of INSERT & MODIFY
+   *                           events, else the OldImage of REMOVE events.
+   */
+  parse(record) {
+    return {
+      table: record.eventSourceARN.replace(/arn:aws:dynamodb:.*?:.*?:table\//,'').replace(/\/stream.*/,''), // Get Table Name from ARN
+      site:  record.dynamodb.Keys.site.S,
+      id:    record.dynamodb.Keys.id.S,
+      image: record.dynamodb.NewImage ? record.dynamodb.NewImage : record.dynamodb.OldImage
+    };
+  }
+
+  /**
+   * Derives the external document version of a stream record, so that a write older than the stored
+   * document is rejected (see shared/index.js): its ApproximateCreationDateTime in epoch seconds, followed
+   * by the last 6 digits of its SequenceNumber as a tiebreaker, e.g. 1522584000499660.
+   *
+   * The creation time only has one second resolution, and every script update (UPDATE & LINK) bumps the
+   * internal version of the document by 1, so without a tiebreaker a REMOVE or INSERT in the same second as
+   * an UPDATE is rejected as a version conflict, and lost. The events of a document are all in the same shard,
+   * where sequence numbers increase, so its later events in a second get a higher version.
+   *
+   * NOTE: The whole SequenceNumber is not used, as it is too large for an ElasticSearch version (a signed
+   * 64-bit integer) & a JSON number. The tiebreaker only inverts the order of two events in the same second
+   * when their sequence numbers straddle a multiple of a million.
+   *
+   * @param  {object} record - The DynamoDB stream record.
+   * @return {number}        - The version, or undefined if the record has no creation time.
+   */
+  version(record) {
+    const created  = record.dynamodb.ApproximateCreationDateTime;
+    const sequence = String(record.dynamodb.FinalSequenceNumber || record.dynamodb.SequenceNumber || '');
+    if (!created) return undefined;
+    return Math.floor(created) * 1000000 + (Number(sequence.slice(-6)) || 0); // Lambda provides epoch seconds
+  }
+
+  /**
+   * Resolves a table name to its route.
+   * Tables listed in the routing config take precedence over stage prefixed table names.
+   *
+   * @param  {string}      table - The full DynamoDB table name.
+   * @param  {object}      image - Optional raw DynamoDB image, to route tables holding several content types.
+   * @return {object|null}       - The content type definition, or null if the table isn't routed.
+   */
+  resolve(table, image) {
+    const rule = this.tables[table] || {};
+    let definition = null;
+    if (rule.types) {
+      definition = (image && rule.types.find(type => type.isType(image))) || rule.types[0];
+    } else if (table.indexOf(this.prefix) === 0) {
+      definition = registry.byTable(table.slice(this.prefix.length), image);
+    }
+    if (!definition || !rule.status) return definition;
+    // Replace the status rule of the content type with the configured one:
+    return Object.assign({}, definition, {isOpen: image => rule.open.indexOf(status(image, rule.status)) !== -1});
+  }
+
+  /**
+   * Determines the action to perform on the index for a stream record, by comparing its
+   * old and new images against the route rules. Content that leaves an indexable state
+   * (e.g. from `open` to `closed`) is removed.
+   *
+   * Both images are compared for every event, as a coalesced record (see handler.js) carries the
+   * OldImage of the first event for its document, e.g. a REMOVE of open content followed by an
+   * INSERT of closed content is coalesced into an INSERT whose OldImage is open, and becomes a REMOVE.
+   *
+   * NOTE: Detecting those transitions requires the table stream to be configured with the
+   * NEW_AND_OLD_IMAGES view type. Without an OldImage, a MODIFY into a closed state is skipped.
+   *
+   * @param  {object}      route  - The route resolved for the record's table.
+   * @param  {object}      record - The DynamoDB stream record.
+   * @return {string|null}        - `INSERT` | `REMOVE`, or null if the record should be skipped.
+   */
+  action(route, record) {
+    const newImage = record.dynamodb.NewImage;
+    const oldImage = record.dynamodb.OldImage;
+    switch (record.eventName) {
+      case 'INSERT':
+      case 'MODIFY':
+      case 'REMOVE':
+        if (this.accepts(route, newImage)) return 'INSERT';      // Still (or newly) indexable, update document
+        return this.accepts(route, oldImage) ? 'REMOVE' : null;  // Transitioned out of indexable state, remove document
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Determines if a raw DynamoDB image should be indexed, by the type & status predicates of its route.
+   *
+   * @param  {object}  route - The route resolved for the image's table.
+   * @param  {object}  image - The raw DynamoDB image, if any.
+   * @return {boolean}       - True if the image is of the route's content type & open.
+   */
+  accepts(route, image) {
+    return !!image && route.isType(image) && route.isOpen(image);
+  }
+
+}
+
+/**
+ * Reads a string attribute of a raw DynamoDB image, by its dot separated path through maps.
+ *
+ * @param  {object}      image - The raw DynamoDB image.
+ * @param  {string}      path  - The attribute path, e.g. `showDetails.status`.
+ * @return {string|null}       - The attribute value, or null if the image doesn't have it.
+ */
+function status(image, path) {
+  const value = path.split('.').reduce((attributes, name, i, names) => {
+    if (!attributes || !attributes[name]) return null;
+    return i < names.length - 1 ? attributes[name].M : attributes[name];
+  }, image);
+  return value && value.S !== undefined ? value.S : null;
+}
+
+//** Expose the Router Class **//
+module.exports = Router;
@@ -0,0 +1,137 @@
+/**
+ * S3 Sink
+ * Stores JSON records as individual objects in an S3 bucket, under an optional key prefix.
+ *
+ * Unlike the local filesystem sink, records persist beyond the Lambda container that wrote
+ * them, so this is the sink for stores that must outlive it (such as the dead-letter store).
+ *
+ * @requires aws-sdk
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const AWS = require('aws-sdk'); // Official AWS SDK
+
+class S3Sink {
+
+  /**
+   * Constructor
+   *
+   * @param {string} bucket - The S3 bucket to store records in.
+   * @param {string} prefix - Optional key prefix of the stored records, e.g. `deadletter/`.
+   * @param {object} s3     - Optional S3 client, defaults to a new client for the Lambda's region.
+   */
+  constructor(bucket, prefix, s3) {
+    if (!bucket) {
+      throw 'Bucket not provided.';
+    } else {
+      this.bucket = bucket;
+      this.prefix = prefix || '';
+      this.s3     = s3 || new AWS.S3();
+    }
+  }
+
+  /**
+   * Writes a record, replacing any existing record with the same key.
+   *
+   * @param    {string} key    - The record key.
+   * @param    {object} record - The JSON.stringify compatible record.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}         True on success.
+   * @rejects  {Error}           An S3 error.
+   */
+  put(key, record) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      self.s3.putObject({
+        Bucket:      self.bucket,
+        Key:         self._key(key),
+        Body:        JSON.stringify(record, null, 2),
+        ContentType: 'application/json'
+      }).promise()
+        .then(() => {
+          fulfill(true);
+      }).catch(e => {
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Reads a record.
+   *
+   * @param    {string} key - The record key.
+   * @return   {Promise.<object|null,Error>}
+   * @fulfills {object|null}  The record, or null if it doesn't exist.
+   * @rejects  {Error}        An S3 or JSON parse error.
+   */
+  get(key) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      self.s3.getObject({Bucket: self.bucket, Key: self._key(key)}).promise()
+        .then(data => {
+          fulfill(JSON.parse(data.Body.toString('utf8')));
+      }).catch(e => {
+        if (e && e.code === 'NoSuchKey') fulfill(null);
+        else reject(e);
+      });
+    });
+  }
+
+  /**
+   * Lists the keys of all stored records, in key order.
+   *
+   * @return   {Promise.<array,Error>}
+   * @fulfills {array}                 Array of record keys.
+   * @rejects  {Error}                 An S3 error.
+   */
+  list() {
+    const self = this;
+    const keys = [];
+    // Page through the listing, S3 returns at most 1000 keys per request:
+    const page = token => self.s3.listObjectsV2({Bucket: self.bucket, Prefix: self.prefix, ContinuationToken: token}).promise()
+      .then(data => {
+        data.Contents.forEach(object => {
+          if (/\.json$/.test(object.Key)) keys.push(object.Key.slice(self.prefix.length, -'.json'.length));
+        });
+        return data.IsTruncated ? page(data.NextContinuationToken) : keys.sort();
+      });
+    return page(undefined);
+  }
+
+  /**
+   * Removes a record, if it exists.
+   *
+   * @param    {string} key - The record key.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}      True on success.
+   * @rejects  {Error}        An S3 error.
+   */
+  remove(key) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      self.s3.deleteObject({Bucket: self.bucket, Key: self._key(key)}).promise()
+        .then(() => {
+          fulfill(true);
+      }).catch(e => {
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Gets the object key of a record, with any unsafe characters in its key replaced.
+   *
+   * @param  {string} key - The record key.
+   * @return {string}     - The S3 object key.
+   */
+  _key(key) {
+    return this.prefix + String(key).replace(/[^A-Za-z0-9._-]/g, '_') + '.json';
+  }
+
+}
+
+//** Expose this S3Sink Class **//
+module.exports = S3Sink;
@@ -0,0 +1,143 @@
+/**
+ * Local Filesystem Sink
+ * Stores JSON records as individual files in a local directory.
+ *
+ * This is the default sink for stores that persist records outside of ElasticSearch (such as
+ * the spool). Any object implementing the same `put`, `get`, `list` and `remove` methods can be
+ * used in its place, e.g. to persist records in S3 instead (see s3sink.js).
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const fs   = require('fs');
+const path = require('path');
+
+class FileSink {
+
+  /**
+   * Constructor
+   *
+   * @param {string} dir - The directory to store records in, created if it doesn't exist.
+   */
+  constructor(dir) {
+    if (!dir) {
+      throw 'Directory not provided.';
+    } else {
+      this.dir = dir;
+    }
+  }
+
+  /**
+   * Writes a record, replacing any existing record with the same key.
+   *
+   * @param    {string} key    - The record key.
+   * @param    {object} record - The JSON.stringify compatible record.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}         True on success.
+   * @rejects  {Error}           A filesystem error.
+   */
+  put(key, record) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      self._ensureDir()
+        .then(() => {
+          fs.writeFile(self._path(key), JSON.stringify(record, null, 2), err => {
+            if (err) reject(err);
+            else fulfill(true);
+          });
+      }).catch(e => {
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Reads a record.
+   *
+   * @param    {string} key - The record key.
+   * @return   {Promise.<object|null,Error>}
+   * @fulfills {object|null}  The record, or null if it doesn't exist.
+   * @rejects  {Error}        A filesystem or JSON parse error.
+   */
+  get(key) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      fs.readFile(self._path(key), 'utf8', (err, data) => {
+        if (err && err.code === 'ENOENT') return fulfill(null);
+        if (err) return reject(err);
+        try {
+          fulfill(JSON.parse(data));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+  }
+
+  /**
+   * Lists the keys of all stored records, in key order.
+   *
+   * @return   {Promise.<array,Error>}
+   * @fulfills {array}                 Array of record keys.
+   * @rejects  {Error}                 A filesystem error.
+   */
+  list() {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      fs.readdir(self.dir, (err, files) => {
+        if (err && err.code === 'ENOENT') return fulfill([]);
+        if (err) return reject(err);
+        fulfill(files.filter(file => path.extname(file) === '.json').map(file => path.basename(file, '.json')).sort());
+      });
+    });
+  }
+
+  /**
+   * Removes a record, if it exists.
+   *
+   * @param    {string} key - The record key.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}      True on success.
+   * @rejects  {Error}        A filesystem error.
+   */
+  remove(key) {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      fs.unlink(self._path(key), err => {
+        if (err && err.code !== 'ENOENT') reject(err);
+        else fulfill(true);
+      });
+    });
+  }
+
+  /**
+   * Creates the sink directory if it doesn't already exist.
+   *
+   * @return {Promise.<boolean,Error>}
+   */
+  _ensureDir() {
+    const self = this;
+    return new Promise((fulfill, reject) => {
+      fs.mkdir(self.dir, err => {
+        if (err && err.code !== 'EEXIST') reject(err);
+        else fulfill(true);
+      });
+    });
+  }
+
+  /**
+   * Gets the file path of a record, with any unsafe characters in its key replaced.
+   *
+   * @param  {string} key - The record key.
+   * @return {string}     - The record file path.
+   */
+  _path(key) {
+    return path.join(this.dir, String(key).replace(/[^A-Za-z0-9._-]/g, '_') + '.json');
+  }
+
+}
+
+//** Expose this FileSink Class **//
+module.exports = FileSink;
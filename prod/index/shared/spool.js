@@ -0,0 +1,116 @@
+/**
+ * Operation Spool
+ * Holds write operations that couldn't be applied because ElasticSearch was unavailable, e.g. during
+ * a maintenance window, so they can be drained once the cluster is healthy (see Index.drain()),
+ * instead of relying on stream retries until the records expire.
+ *
+ * Each spooled operation is stored as JSON, keyed by the time it was spooled so that keys list in
+ * spool order, plus a random suffix so that containers spooling at the same time never collide:
+ *
+ *   {
+ *     op        : {action: 'INSERT', index: 'snagfilms', id: '1234-abcd', doc: {...}, version: 1522584000499660},
+ *     error     : {...},        // The error the write failed with
+ *     spooledAt : '2018-04-01T12:00:00.000Z'
+ *   }
+ *
+ * Operations carry their external version, so an operation drained after a newer write of the same
+ * document is skipped as stale rather than overwriting it.
+ *
+ * Records of spooled operations are acknowledged to the stream, so the spool must outlive the Lambda
+ * container that wrote it, and be shared by every container so that any of them can drain it. A durable
+ * sink is required, configured with one of the following environment variables:
+ *  SPOOL_BUCKET - The S3 bucket to spool operations in, under the `spool/` prefix.
+ *  SPOOL_DIR    - The directory of a filesystem sink, for local runs (see tools/spool.js) or a mounted
+ *                 durable filesystem such as EFS.
+ *
+ * @requires sink.js
+ * @requires s3sink.js
+ * @requires elasticsearch_common/logger
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const crypto   = require('crypto');                      // Node crypto, for random key suffixes
+const FileSink = require('./sink');                      // Import filesystem sink
+const S3Sink   = require('./s3sink');                    // Import S3 sink
+const logger   = require('elasticsearch_common/logger'); // Import logger, to serialize errors
+
+class Spool {
+
+  /**
+   * Constructor
+   *
+   * @param {object} sink - Optional sink to spool operations with, defaults to the configured S3 bucket or directory.
+   *                        Must implement `put(key, record)`, `get(key)`, `list()` and `remove(key)`,
+   *                        with `list()` in key order.
+   */
+  constructor(sink) {
+    if (sink) {
+      this.sink = sink;
+    } else if (process.env.SPOOL_BUCKET) {
+      this.sink = new S3Sink(process.env.SPOOL_BUCKET, 'spool/');
+    } else if (process.env.SPOOL_DIR) {
+      this.sink = new FileSink(process.env.SPOOL_DIR);
+    } else {
+      throw 'Spool sink not configured, set SPOOL_BUCKET or SPOOL_DIR.';
+    }
+    this.sequence = 0; // Orders the operations spooled within the same millisecond
+  }
+
+  /**
+   * Spools an operation.
+   *
+   * @param    {object} op    - The operation that couldn't be written.
+   * @param    {*}      error - The rejection the write failed with.
+   * @return   {Promise.<string,Error>}
+   * @fulfills {string}         The spool key.
+   * @rejects  {Error}          A sink error.
+   */
+  put(op, error) {
+    const pad = (value, length) => ('0'.repeat(length) + value).slice(-length);
+    const key = [pad(Date.now(), 15), pad(process.pid, 7), pad(this.sequence++, 6), crypto.randomBytes(4).toString('hex')].join('-');
+    return this.sink.put(key, {op: op, error: logger.serializeError(error), spooledAt: new Date().toISOString()})
+      .then(() => key);
+  }
+
+  /**
+   * Gets a spooled operation.
+   *
+   * @param    {string} key - The spool key.
+   * @return   {Promise.<object|null,Error>}
+   * @fulfills {object|null}  The spooled record, or null if it doesn't exist.
+   * @rejects  {Error}        A sink error.
+   */
+  get(key) {
+    return this.sink.get(key);
+  }
+
+  /**
+   * Lists the keys of all spooled operations, in spool order.
+   *
+   * @return   {Promise.<array,Error>}
+   * @fulfills {array}                 Array of spool keys.
+   * @rejects  {Error}                 A sink error.
+   */
+  list() {
+    return this.sink.list();
+  }
+
+  /**
+   * Removes a spooled operation, e.g. once it has been drained.
+   *
+   * @param    {string} key - The spool key.
+   * @return   {Promise.<boolean,Error>}
+   * @fulfills {boolean}      True on success.
+   * @rejects  {Error}        A sink error.
+   */
+  remove(key) {
+    return this.sink.remove(key);
+  }
+
+}
+
+//** Expose this Spool Class **//
+module.exports = Spool;
@@ -0,0 +1,142 @@
+/**
+ * Index Template
+ * Installs the settings & mappings built by the registry as an ElasticSearch index template,
+ * which is applied to every versioned site index (see aliases.js) when it is created. Versioned
+ * site indices are named with a dedicated prefix, `content_<site>_v<N>`, so that the template
+ * never applies to any other index on the cluster.
+ *
+ * The template's `version` is a checksum of its settings & mappings, so an install only writes
+ * the template when it differs from the one on the cluster. The template is installed or upgraded
+ * once, by `tools/template.js install` on deploy, or by the first batch of each indexer container
+ * (see `ensure()`). Creating an index only checks that the installed template is current.
+ *
+ * Changing the template does not change existing indices; they pick it up when reindexed with
+ * `tools/reindex.js`. The mappings are converted to typeless mappings for ES 7+ & OpenSearch
+ * clusters (see elasticsearch_common/mappingtypes.js).
+ *
+ * @requires elasticsearch_common/registry
+ *
+ * @author Rob Mullins <rob@viewlift.com>
+ * @version 1.0.0
+ */
+
+// Load Dependencies:
+const crypto   = require('crypto');                        // Node crypto, to checksum the template
+const registry = require('elasticsearch_common/registry'); // Content type registry, builds the Index Settings & Mappings
+
+// Name of the index template, the prefix of the versioned site indices, and the indices it applies to:
+const NAME     = 'content';
+const PREFIX   = 'content_';
+const PATTERNS = [PREFIX + '*'];
+
+class Templates {
+
+  /**
+   * Constructor
+   *
+   * @param {object}       es    - The ElasticSearch client.
+   * @param {MappingTypes} types - The mapping types of the cluster.
+   */
+  constructor(es, types) {
+    this.es      = es;
+    this.types   = types;
+    this.name    = NAME;
+    this.prefix  = PREFIX;
+    this.ensured = null; // Pending or completed install by ensure()
+  }
+
+  /**
+   * Builds the index template from the registry.
+   *
+   * @return {object} The template body, with its `index_patterns`, `version`, `settings` & `mappings`.
+   */
+  body() {
+    const template = registry.template();
+    const mappings = this.types.mappings(template.mappings);
+    const checksum = crypto.createHash('sha1').update(JSON.stringify({settings: template.settings, mappings: mappings})).digest('hex');
+    return {
+      index_patterns: PATTERNS,
+      order:          0,
+      version:        parseInt(checksum.slice(0, 7), 16), // Template versions are integers
+      settings:       template.settings,
+      mappings:       mappings
+    };
+  }
+
+  /**
+   * Gets the template currently installed on the cluster.
+   *
+   * @return   {Promise.<object|null,Error>}
+   * @fulfills {object|null}  The installed template, or null if there is none.
+   * @rejects  {Error}        An ES Error.
+   */
+  installed() {
+    return this.es.indices.getTemplate({name: this.name})
+      .then(res => res[this.name] || null, e => {
+        if (e.status === 404) return null;
+        return Promise.reject(e);
+    });
+  }
+
+  /**
+   * Installs the template, or upgrades it if the installed version differs.
+   *
+   * @param    {boolean} force - Optional, install even if the installed version is current.
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}          The `version` & `previous` version, and whether it was `installed`.
+   * @rejects  {Error}           An ES Error.
+   */
+  install(force) {
+    const self = this;
+    const body = self.body();
+    return self.installed()
+      .then(current => {
+        const previous = current ? current.version || null : null;
+        if (!force && previous === body.version) return {installed: false, version: body.version, previous: previous};
+        return self.es.indices.putTemplate({name: self.name, body: body})
+          .then(() => ({installed: true, version: body.version, previous: previous}));
+    });
+  }
+
+  /**
+   * Installs or upgrades the template once, e.g. once per indexer container. Later calls share the
+   * result of the first, unless it failed, in which case the next call tries again.
+   *
+   * @return   {Promise.<object,Error>}
+   * @fulfills {object}                  The result of install().
+   * @rejects  {Error}                   An ES Error.
+   */
+  ensure() {
+    const self = this;
+    if (!self.ensured) {
+      self.ensured = self.install()
+        .catch(e => {
+          self.ensured = null;
+          return Promise.reject(e);
+      });
+    }
+    return self.ensured;
+  }
+
+  /**
+   * Checks that the installed template is current, before an index is created from it.
+   *
+   * @return   {Promise.<object,Error|string>}
+   * @fulfills {object}                         The installed template.
+   * @rejects  {Error|string}                   An ES Error, or a string if the template is missing or out of date.
+   */
+  verify() {
+    const self = this;
+    return self.installed()
+      .then(installed => {
+        if (!installed || installed.version !== self.body().version) {
+          return Promise.reject('The index template is not installed or out of date, install it with tools/template.js install.');
+        }
+        return installed;
+    });
+  }
+
+}
+
+//** Expose this Templates Class **//
+module.exports = Templates;
@@ -5,7 +5,8 @@
  *  AWS_REGION      - The AWS Region, available by default by Lambda.
  *  STAGE           - The development stage (dev, staging, prod).
  *  ES_ENDPOINT     - The URL endpoint to the ElasticSearch cluster.
- *  ES_VERSION      - The version of ElasticSearch used on our cluster. 
+ *  ES_VERSION      - The version of ElasticSearch used on our cluster, e.g. `6.2`. ES 7+ & OpenSearch
+ *                    (`opensearch`) clusters are spoken to without mapping types.
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 2.0.0
@@ -13,6 +14,7 @@
 
 // Import Dependencies
 const Search = require('./search');
+const logger = require('elasticsearch_common/logger'); // Structured JSON logger, shared with the indexer
 
 /**
  * Lambda Entry Point
@@ -27,13 +29,14 @@ const Search = require('./search');
  * @param {object|string} success   - Optional JSON.stringify compatible object or string to indicate Lambda success.
  */
 exports.handler = function(event, context, callback) {
-  const search = new Search(process.env.ES_ENDPOINT, process.env.ES_VERSION, event.queryStringParameters.site); // Instantiate Search Class
+  const log    = logger.child({requestId: context.awsRequestId, site: event.queryStringParameters.site});           // Carry the request ID & site through every log entry
+  const search = new Search(process.env.ES_ENDPOINT, process.env.ES_VERSION, event.queryStringParameters.site, log); // Instantiate Search Class
   //** Get Content Suggestions **//
-  search.getSuggestions(event.queryStringParameters.searchTerm, event.queryStringParameters.types, event.queryStringParameters.offset, event.queryStringParameters.limit)
+  search.getSuggestions(event.queryStringParameters.searchTerm, event.queryStringParameters.types, event.queryStringParameters.offset, event.queryStringParameters.limit, event.queryStringParameters.role, event.queryStringParameters.upcoming)
     .then(results => {
       return callback(null, prepareResponse(200, results)); // Return array of results back to client!
   }).catch(e => {
-    console.log('Error - ', e);
+    log.error('Error getting search suggestions', {error: e});
     return callback(e);
   });
 
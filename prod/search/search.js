@@ -1,14 +1,37 @@
 /**
  * ElasticSearch Search Service
  * Contains functions to perform common search queries in ElasticSearch.
+ * Queries are built from the content type registry shared with the indexer, in the
+ * elasticsearch_common package (common/), which is installed with this service.
  *
  * @requires elasticsearch
+ * @requires elasticsearch_common/registry
+ * @requires elasticsearch_common/logger
+ * @requires elasticsearch_common/client
+ * @requires elasticsearch_common/mappingtypes
+ * @requires elasticsearch_common/roles
  *
  * @author Rob Mullins <rob@viewlift.com>
  * @version 1.0.0
  */
 // Import Dependencies:
-const ES = require('elasticsearch');
+const ES       = require('elasticsearch');
+const registry = require('elasticsearch_common/registry');     // Content type registry, shared with the indexer
+const logger   = require('elasticsearch_common/logger');       // Structured JSON logger, shared with the indexer
+const client   = require('elasticsearch_common/client');       // Resilient ES client wrapper, shared with the indexer
+const Types    = require('elasticsearch_common/mappingtypes'); // Version-aware mapping types, shared with the indexer
+const role     = require('elasticsearch_common/roles').role;   // Credit block title to people role, shared with the indexer
+
+// Unified cross-type fields matched by the single query across content types (see Index.unified()):
+const UNIFIED_FIELDS = ['title^2', 'primaryCategory', 'categories.name', 'tags.name', 'people.name', 'author'];
+
+// Mapping schema of indices created with the unified fields, from the `_meta` of template.json. Older indices
+// may gain a dynamically mapped `title` from newer writes, so the fields alone don't tell them apart:
+const UNIFIED_SCHEMA = 2;
+
+// How long the live mapping of an index is cached, in milliseconds, and the cache, by index:
+const MAPPING_TTL = 5 * 60 * 1000;
+const MAPPINGS    = {};
 
 class Search {
 
@@ -18,8 +41,9 @@ class Search {
    * @param {string} endpoint - The ElasticSearch host URL/Endpoint.
    * @param {string} version  - The ES API Version to use.
    * @param {string} index    - The ES index to search.
+   * @param {Logger} log      - Optional logger, carrying the correlation context of the caller.
    */
-  constructor(endpoint, version, index) {
+  constructor(endpoint, version, index, log = logger) {
     // Set ES Endpoint:
     if (!endpoint) {
       throw 'Endpoint not provided.';
@@ -38,284 +62,227 @@ class Search {
     } else {
       this.index = index;
     }
-    // Instantiate new ES Client:
-    this.es = new ES.Client({
+    this.log   = log;
+    this.types = new Types(this.version);
+    // Instantiate new ES Client, Retried with Backoff:
+    this.es = client.resilient(new ES.Client({
       host:         this.endpoint, 
-      log:          'error',
-      apiVersion:   this.version,
+      log:          this.log.esLog(),
+      apiVersion:   this.types.apiVersion,
+      maxRetries:   0,     // Retries are made by the client wrapper, with backoff
       keepAlive:    false  // DO NOT CHANGE - LIBRARY CRASHES WITHOUT THIS SET TO FALSE @see https://github.com/elastic/elasticsearch-js/issues/521 
-    }); 
+    }), this.log); 
   }
 
   /**
-   * Gets suggestions for content types specified by `types, by performing individual search queries
-   * on each relevant content type (videos, series, audio, events, articles, photos).
+   * Gets suggestions for content types specified by `types`. Indices created with the unified cross-type
+   * fields are searched with a single query, ranking every content type together (see _getUnifiedSuggestions()).
+   * Indices created before them are searched with an individual query per content type instead, until
+   * reindexed with `tools/reindex.js`, which backfills the unified fields.
    *
    * @param    {string} searchTerm      - The search term / search prefix to search by.
    * @param    {string} types           - Comma separatted list of types, blank for all.
    * @param    {number} offset          - Pagination offset, or the initial # of records to skip.
    * @param    {number} limit           - Pagination limit, the # of records to return.
+   * @param    {string} people          - Optional role, e.g. `director`, to only match people of that role by name.
+   *                                      Only content types with people are searched.
+   * @param    {boolean} upcoming       - Optional, true to only match upcoming content, e.g. events with a schedule
+   *                                      date from today. Only content types with upcoming dates are searched.
    * @return   {Promise.<array,Error>}  - Promise          
    * @fulfills {array}                  - Array containing all the search results
    * @rejects  {Error}                  - An ElasticSearch Error
    */
-  getSuggestions(searchTerm, types, offset, limit) {
+  getSuggestions(searchTerm, types, offset, limit, people, upcoming) {
     const self = this;
     if (!offset) offset = 0;   // Offset default to 0 if not defined.
     if (!limit)  limit  = 100; // Limit default to 100 if not defined.
-    return new Promise((fulfill, reject) => {
-      const suggestions = [];     // Hold each query results
-      const response    = [];     // Hold the combined/formatted search response
-      //** Perform search based on type(s) defined **//
-      if (types) { 
-        types = types.split(',');
-        types.forEach(type => {
-          switch (type.toLowerCase()) {
-            case 'videos':
-            case 'video':
-              suggestions.push(self._getVideoSuggestions(searchTerm, offset, limit));     // Query Videos
-              break;
-            case 'series':
-              suggestions.push(self._getSeriesSuggestions(searchTerm, offset, limit));    // Query Series
-              break;
-            case 'articles':
-            case 'article':
-              suggestions.push(self._getArticleSuggestions(searchTerm, offset, limit));   // Query Articles
-              break;
-            case 'events':
-            case 'event':
-              suggestions.push(self._getEventSuggestions(searchTerm, offset, limit));     // Query Events
-              break;
-            case 'audio':
-              suggestions.push(self._getAudioSuggestions(searchTerm, offset, limit));     // Query Audio
-              break;
-            case 'photos':
-            case 'photo':
-              suggestions.push(self._getPhotoSuggestions(searchTerm, offset, limit));     // Query Photos
-              break;
-          }
+    upcoming = upcoming === true || upcoming === 'true';
+    //** Perform search based on type(s) defined, else search all types **//
+    const _role       = role(people);
+    const definitions = (types ? types.split(',').map(type => registry.get(type)).filter(definition => definition) : registry.all())
+      .filter(definition => (!_role || definition.search.people) && (!upcoming || definition.search.upcoming));
+    if (!definitions.length) return Promise.resolve([]);
+    return self._mapping()
+      .then(mapping => {
+        if (mapping.unified) return self._getUnifiedSuggestions(definitions, searchTerm, offset, limit, _role, upcoming, mapping);
+        //** Query each Content Type, Keeping the Results of those that Succeed **//
+        return Promise.all(definitions.map(definition => self._getSuggestions(definition, searchTerm, offset, limit, _role, upcoming, mapping)
+          .then(result => ({ok: true, result: result}), e => {
+            self.log.warn('Error searching content type', {type: definition.name, searchTerm: searchTerm, error: e});
+            return {ok: false, error: e};
+        }))).then(queried => {
+          const succeeded = queried.filter(query => query.ok);
+          if (!succeeded.length) return Promise.reject(queried[0].error); // Every query failed
+          return succeeded.map(query => query.result);
         });
-      } else {
-        //** No type(s) defined, search all types **//   
-        suggestions.push(self._getVideoSuggestions(searchTerm, offset, limit));     // Query Videos
-        suggestions.push(self._getSeriesSuggestions(searchTerm, offset, limit));    // Query Series
-        suggestions.push(self._getArticleSuggestions(searchTerm, offset, limit));   // Query Articles
-        suggestions.push(self._getEventSuggestions(searchTerm, offset, limit));     // Query Events
-        suggestions.push(self._getAudioSuggestions(searchTerm, offset, limit));     // Query Audio
-        suggestions.push(self._getPhotoSuggestions(searchTerm, offset, limit));     // Query Photos
-      }
+    }).then(results => {
       //** Return combined results **//
-      Promise.all(suggestions)
-        .then(results => {
-          results.forEach(result => {
-            //** If query contains results, push it to final response array **//
-            if (result.hits.hits.length > 0) {
-              result.hits.hits.forEach(hit => {
-                response.push(hit._source.data);
-              });
-            }
-          });
-          fulfill(response); // Return combined search results!
-      }).catch(e => {
-        console.log('Error performing search query - ', e);
-        reject(e);
+      const response = []; // Hold the combined/formatted search response
+      [].concat(results).forEach(result => {
+        result.hits.hits.forEach(hit => {
+          response.push(hit._source.data);
+        });
       });
+      return response; // Return combined search results!
+    }).catch(e => {
+      self.log.error('Error performing search query', {searchTerm: searchTerm, types: types, error: e});
+      return Promise.reject(e);
     });
   }
 
   /**
-   * Searches for videos that match the searchTerm
+   * Searches for content of several types with a single query on the unified cross-type fields,
+   * plus the `extra` fields of each type, so that all types are ranked together. Each type only
+   * matches documents of its own `type` that pass its filters.
    *
-   * @param    {string} searchTerm      - The search term / search-prefix to search for videos by.
-   * @return   {Promise.<array,Error>}  - Promise
-   * @fulfills {array}                  - Search Results
+   * @param    {array}   definitions    - The content type definitions from the registry.
+   * @param    {string}  searchTerm     - The search term / search-prefix to search for content by.
+   * @param    {number}  offset         - Pagination offset, or the initial # of records to skip.
+   * @param    {number}  limit          - Pagination limit, the # of records to return.
+   * @param    {string}  role           - Optional normalized role, to only match people of that role by name.
+   * @param    {boolean} upcoming       - Optional, true to only match content with the `upcoming` filter of its type.
+   * @param    {object}  mapping        - The live mapping of the index, see _mapping().
+   * @return   {Promise.<object,Error>} - Promise
+   * @fulfills {object}                 - Search Results
    * @rejects  {Error}                  - An ElasticSearch Error
    */
-  _getVideoSuggestions(searchTerm, offset, limit) {
-    const self = this;
-    return this.es.search({
-      index: self.index,
-      from: offset,
-      size: limit,
-      type: 'content',
-      body: {
-        query: {
-          bool: {
-            must: {
-              multi_match: {
-                query    : searchTerm,
-                type     : 'phrase',
-                fields   : ['videoTitle^2', 'videoPrimaryCategory', 'videoCategories.name', 'videoPeople.name', 'videoTags.name']
-              }
-            },
-            filter: [
-              {term: {'isTrailer': false}} 
-            ]
-          }
-        },
-        sort: [
-          { "_score": { "order": "desc" }},
-          {'publishDate': 'desc'}
-        ]
+  _getUnifiedSuggestions(definitions, searchTerm, offset, limit, role, upcoming, mapping) {
+    const self   = this;
+    const extra  = definitions.reduce((fields, definition) => fields.concat(definition.search.extra || []), []);
+    const match  = role ? self._peopleQuery('people', searchTerm, role, mapping.nested('people')) : {
+      multi_match: {
+        query    : searchTerm,
+        type     : 'phrase',
+        fields   : UNIFIED_FIELDS.concat(extra)
       }
-    });
-  }
-
-  /**
-   * Searches for series that match the searchTerm
-   *
-   * @param    {string} searchTerm      - The search term / search-prefix to search for series by.
-   * @return   {Promise.<array,Error>}  - Promise
-   * @fulfills {array}                  - Search Results
-   * @rejects  {Error}                  - An ElasticSearch Error
-   */
-  _getSeriesSuggestions(searchTerm, offset, limit) {
-    const self = this;
-    return this.es.search({
+    };
+    const types  = definitions.map(definition => ({
+      bool: {filter: [{term: {type: definition.search.type}}].concat(definition.search.filter || [], upcoming ? self._config(definition.search.upcoming, mapping) : [])}
+    }));
+    const sort   = definitions.length === 1 ? self._config(definitions[0].search.sort, mapping) : 'publishDate'; // A single type keeps its own sort
+    return this.es.search(self.types.params({
       index: self.index,
       from: offset,
       size: limit,
-      type: 'content',
       body: {
-        query: {
-          multi_match: {
-            query    : searchTerm,
-            type     : 'phrase',
-            fields   : ['seriesTitle^2', 'seriesPrimaryCategory', 'seriesCategories.name', 'seriesPeople.name', 'seriesTags.name']
-          }
-        },
+        query: {bool: {must: match, filter: {bool: {should: types, minimum_should_match: 1}}}},
         sort: [
           { "_score": { "order": "desc" }},
-          {'publishDate': 'desc'}
+          typeof sort === 'string' ? {[sort]: 'desc'} : sort
         ]
       }
-    });
+    }));
   }
 
   /**
-   * Searches for articles that match the searchTerm
+   * Searches for content of a single type that match the searchTerm,
+   * using the search fields, filters & sort field of its content type definition.
    *
-   * @param    {string} searchTerm      - The search term / search-prefix to search for articles by.
+   * @param    {object} definition      - The content type definition from the registry.
+   * @param    {string} searchTerm      - The search term / search-prefix to search for content by.
+   * @param    {number} offset          - Pagination offset, or the initial # of records to skip.
+   * @param    {number} limit           - Pagination limit, the # of records to return.
+   * @param    {string} role            - Optional normalized role, to only match people of that role by name.
+   * @param    {boolean} upcoming       - Optional, true to only match content with the `upcoming` filter of its type.
+   * @param    {object} mapping         - The live mapping of the index, see _mapping().
    * @return   {Promise.<array,Error>}  - Promise
    * @fulfills {array}                  - Search Results
    * @rejects  {Error}                  - An ElasticSearch Error
    */
-  _getArticleSuggestions(searchTerm, offset, limit) {
-    const self = this;
-    return this.es.search({
+  _getSuggestions(definition, searchTerm, offset, limit, role, upcoming, mapping) {
+    const self   = this;
+    const filter = [].concat(definition.search.filter || [], upcoming ? self._config(definition.search.upcoming, mapping) : []);
+    const sort   = self._config(definition.search.sort, mapping);
+    const match  = role ? self._peopleQuery(definition.search.people, searchTerm, role, mapping.nested(definition.search.people)) : {
+      multi_match: {
+        query    : searchTerm,
+        type     : 'phrase',
+        fields   : definition.search.fields
+      }
+    };
+    return this.es.search(self.types.params({
       index: self.index,
       from: offset,
       size: limit,
-      type: 'content',
       body: {
-        query: {
-          multi_match: {
-            query    : searchTerm,
-            type     : 'phrase',
-            fields   : ['articleTitle^2', 'articleAuthor', 'articlePrimaryCategory', 'articleCategories.name', 'articleTags.name']
-          }
-        },
+        query: filter.length ? {bool: {must: match, filter: filter}} : match,
         sort: [
           { "_score": { "order": "desc" }},
-          {'publishDate': 'desc'}
+          typeof sort === 'string' ? {[sort]: 'desc'} : sort
         ]
       }
-    });
+    }));
   }
 
   /**
-   * Searches for events that match the searchTerm
+   * Builds a query matching content with a person of a role, by name. When the people field is nested,
+   * the name & role must match on the same person. Indices built before people were nested map them
+   * as plain objects, which a nested query fails on, so they are matched with a flat query instead,
+   * where the name & role may match on different people of the same document.
    *
-   * @param    {string} searchTerm      - The search term / search-prefix to search for events by.
-   * @return   {Promise.<array,Error>}  - Promise
-   * @fulfills {array}                  - Search Results
-   * @rejects  {Error}                  - An ElasticSearch Error
+   * @param  {string}  field      - The people field, e.g. `videoPeople` or the unified `people`.
+   * @param  {string}  searchTerm - The search term / search-prefix to match people names by.
+   * @param  {string}  role       - The normalized role, e.g. `director`.
+   * @param  {boolean} nested     - True if the people field is nested in the live mapping.
+   * @return {object}             - The nested or flat query.
    */
-  _getEventSuggestions(searchTerm, offset, limit) {
-    const self = this;
-    return this.es.search({
-      index: self.index,
-      from: offset,
-      size: limit,
-      type: 'content',
-      body: {
-        query: {
-          multi_match: {
-            query    : searchTerm,
-            type     : 'phrase',
-            fields   : ['eventTitle^2', 'eventPrimaryCategory', 'eventCategories.name', 'eventTags.name']
-          }
-        },
-        sort: [
-          { "_score": { "order": "desc" }},
-          {'eventDate': 'desc'}
-        ]
+  _peopleQuery(field, searchTerm, role, nested) {
+    const query = {
+      bool: {
+        must:   {multi_match: {query: searchTerm, type: 'phrase', fields: [field + '.name']}},
+        filter: {term: {[field + '.role']: role}}
       }
-    });
+    };
+    return nested ? {nested: {path: field, query: query}} : query;
   }
 
   /**
-   * Searches for audio that match the searchTerm
+   * Gets a search config value of a content type, e.g. its `sort`, which is either the value itself,
+   * or a function of the live mapping returning it, for queries that depend on how a field is mapped.
    *
-   * @param    {string} searchTerm      - The search term / search-prefix to search for audio by.
-   * @return   {Promise.<array,Error>}  - Promise
-   * @fulfills {array}                  - Search Results
-   * @rejects  {Error}                  - An ElasticSearch Error
+   * @param  {*}      config  - The config value, or a function of the mapping.
+   * @param  {object} mapping - The live mapping of the index, see _mapping().
+   * @return {*}              - The config value.
    */
-  _getAudioSuggestions(searchTerm, offset, limit) {
-    const self = this;
-    return this.es.search({
-      index: self.index,
-      from: offset,
-      size: limit,
-      type: 'content',
-      body: {
-        query: {
-          multi_match: {
-            query    : searchTerm,
-            type     : 'phrase',
-            fields   : ['audioTitle^2', 'audioAuthor', 'audioPrimaryCategory', 'audioCategories.name', 'audioTags.name', 'audioPeople.name']
-          }
-        },
-        sort: [
-          { "_score": { "order": "desc" }},
-          {'publishDate': 'desc'}
-        ]
-      }
-    });
+  _config(config, mapping) {
+    return typeof config === 'function' ? config(mapping) : config;
   }
 
   /**
-   * Searches for photos that match the searchTerm
+   * Gets the live mapping of the searched index, to tell which fields it has. Cached per index
+   * for MAPPING_TTL, so a reindexed site is picked up without a redeploy. If the mapping can't
+   * be read, it is assumed to have neither the unified fields nor nested fields, as those queries
+   * only work on indices that have them.
    *
-   * @param    {string} searchTerm      - The search term / search-prefix to search for photos by.
-   * @return   {Promise.<array,Error>}  - Promise
-   * @fulfills {array}                  - Search Results
-   * @rejects  {Error}                  - An ElasticSearch Error
+   * @return   {Promise.<object>}
+   * @fulfills {object}            - `unified`, true if every index behind the alias was created with the unified
+   *                                 fields, by its `_meta.schema` (see UNIFIED_SCHEMA), and `nested(field)`,
+   *                                 true if the field is nested in every index.
    */
-  _getPhotoSuggestions(searchTerm, offset, limit) {
-    const self = this;
-    return this.es.search({
-      index: self.index,
-      from: offset,
-      size: limit,
-      type: 'content',
-      body: {
-        query: {
-          multi_match: {
-            query    : searchTerm,
-            type     : 'phrase',
-            fields   : ['photoTitle^2', 'photoAuthor', 'photoPrimaryCategory', 'photoCategories.name', 'photoTags.name']
-          }
-        },
-        sort: [
-          { "_score": { "order": "desc" }},
-          {'publishDate': 'desc'}
-        ]
-      }
+  _mapping() {
+    const self   = this;
+    const cached = MAPPINGS[self.index];
+    if (cached && cached.expires > Date.now()) return cached.mapping;
+    const mapping = self.es.indices.getMapping(self.types.params({index: self.index}))
+      .then(res => {
+        // Typed mappings are nested under their type:
+        const indices = Object.keys(res).map(name => {
+          const mappings = res[name].mappings || {};
+          return mappings.properties || mappings._meta ? mappings : mappings.content || {};
+        });
+        const every = test => indices.length > 0 && indices.every(test);
+        return {
+          unified: every(mappings => !!mappings._meta && mappings._meta.schema >= UNIFIED_SCHEMA),
+          nested:  field => every(mappings => !!mappings.properties && !!mappings.properties[field] && mappings.properties[field].type === 'nested')
+        };
+    }).catch(e => {
+      self.log.warn('Error reading the index mapping', {index: self.index, error: e});
+      delete MAPPINGS[self.index]; // Read again by the next search
+      return {unified: false, nested: () => false};
     });
+    MAPPINGS[self.index] = {mapping: mapping, expires: Date.now() + MAPPING_TTL};
+    return mapping;
   }
-
 }
 
 // Expose this Search Class
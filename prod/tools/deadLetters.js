@@ -0,0 +1,153 @@
+/**
+ * Lists, inspects and replays records in the indexer dead-letter store.
+ *
+ * Usage:
+ *  node deadLetters.js list            - List all dead letters.
+ *  node deadLetters.js inspect <key>   - Print a dead letter.
+ *  node deadLetters.js replay [key]    - Replay one dead letter, or all of them.
+ *
+ * Replays run the record through the same content classes as the indexer, so the same
+ * environment variables must be set: STAGE, ES_ENDPOINT, ES_VERSION, DEAD_LETTER_BUCKET or
+ * DEAD_LETTER_DIR, and optionally TABLE_ROUTES. Dead letters holding their raw stream record, including
+ * malformed records, are routed from it again, like the indexer does. Replayed records are removed from
+ * the store on success, and have their attempt count incremented on failure.
+ */
+
+// Load Dependencies:
+const colors     = require('colors');
+const DeadLetter = require('../index/shared/deadletter');
+
+// Config colors
+colors.setTheme({
+  default: ['cyan', 'bold', 'bgBlack'],
+  bad: ['red', 'bold', 'underline', 'bgWhite']
+});
+
+const command = process.argv[2];
+const key     = process.argv[3];
+
+let deadLetters;
+try {
+  deadLetters = new DeadLetter();
+} catch (e) {
+  exit(e);
+}
+
+switch (command) {
+  case 'list':
+    list();
+    break;
+  case 'inspect':
+    if (!key) exit('Please provide the key of the dead letter to inspect.');
+    inspect(key);
+    break;
+  case 'replay':
+    replay(key);
+    break;
+  default:
+    exit('Usage: node deadLetters.js list | inspect <key> | replay [key]');
+}
+
+/**
+ * Print the key, attempts and last error of every dead letter.
+ */
+function list() {
+  deadLetters.list()
+    .then(keys => {
+      if (!keys.length) return console.log('No dead letters found.'.default);
+      return Promise.all(keys.map(key => deadLetters.get(key)))
+        .then(records => {
+          records.forEach((record, i) => {
+            console.log('%s  %s  attempts: %d  failed: %s  error: %s', keys[i], record.action || 'malformed', record.attempts, record.failedAt, record.error.message);
+          });
+          console.log('%d dead letter(s) found.'.default, keys.length);
+      });
+  }).catch(e => {
+    exit('There was an error listing dead letters - ', e);
+  });
+}
+
+/**
+ * Print a single dead letter.
+ */
+function inspect(key) {
+  deadLetters.get(key)
+    .then(record => {
+      if (!record) return exit('Dead letter not found - ' +key);
+      console.log(JSON.stringify(record, null, 2));
+  }).catch(e => {
+    exit('There was an error reading the dead letter - ', e);
+  });
+}
+
+/**
+ * Replay a single dead letter, or all dead letters in sequence.
+ */
+function replay(key) {
+  // Load the indexer classes only when replaying, as they require the indexer environment:
+  const classes = require('../index/content');
+  const Router  = require('../index/shared/routes');
+  const router  = new Router(process.env.STAGE, process.env.TABLE_ROUTES);
+  const content = {};
+  Object.keys(classes).forEach(name => {
+    content[name] = new classes[name]();
+  });
+  // Route a dead letter, from its raw stream record if it has one:
+  const route = record => {
+    if (!record.record) {
+      const resolved = record.table ? router.resolve(record.table, record.image) : null;
+      if (!resolved) throw 'No route for table ' +record.table;
+      return {route: resolved, action: record.action, site: record.site, id: record.id, image: record.image, version: record.version};
+    }
+    const parsed   = router.parse(record.record);
+    const resolved = router.resolve(parsed.table, parsed.image);
+    if (!resolved) throw 'No route for table ' +parsed.table;
+    const action   = router.action(resolved, record.record);
+    if (!action) return null;
+    return Object.assign(parsed, {route: resolved, action: action, oldImage: record.record.dynamodb.OldImage, version: router.version(record.record)});
+  };
+  let replayed = 0;
+  let failed   = 0;
+  (key ? Promise.resolve([key]) : deadLetters.list())
+    .then(keys => {
+      // Replay one at a time, in key order:
+      return keys.reduce((previous, key) => previous.then(() => {
+        return deadLetters.get(key)
+          .then(record => {
+            if (!record) throw 'Dead letter not found - ' +key;
+            // Route within the chain, so a malformed dead letter fails on its own instead of ending the replay:
+            return Promise.resolve()
+              .then(() => {
+                const letter = route(record);
+                if (!letter) return {skipped: true};
+                // Write with the record's version, so a replay never overwrites newer content:
+                const indexer = content[letter.route.name];
+                return indexer.prepare(letter.action, letter.site, letter.id, letter.image, undefined, letter.oldImage)
+                  .then(op => indexer.write(Object.assign(op, {version: letter.version})));
+            }).then(result => {
+                if (result.skipped) console.log('Skipped %s, the content is closed or of an unsupported type'.default, key);
+                else console.log(result.stale ? 'Skipped %s, the stored document is newer'.default : 'Replayed %s'.default, key);
+                replayed++;
+                return deadLetters.remove(key);
+            }).catch(e => {
+              console.log('Error replaying %s - '.bad, key, e);
+              failed++;
+              return deadLetters.put(Object.assign({}, record, {error: e}));
+            });
+        });
+      }), Promise.resolve());
+  }).then(() => {
+    console.log('Replayed %d dead letter(s), %d failed.'.default, replayed, failed);
+    process.exit(failed ? 1 : 0);
+  }).catch(e => {
+    exit('There was an error replaying dead letters - ', e);
+  });
+}
+
+/**
+ * Print an error & exit.
+ */
+function exit(message, e) {
+  console.log(message.bad, e || '');
+  process.exit(1);
+}
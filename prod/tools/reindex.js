@@ -0,0 +1,84 @@
+/**
+ * Shows & rebuilds the versioned indices of a site, e.g. after changing the index template.
+ *
+ * Usage:
+ *  node reindex.js status <site>              - Show the site's index versions and where its aliases point.
+ *  node reindex.js run <site> [--delete-old]  - Install or upgrade the index template, build the next index version,
+ *                                               copy the current version into it & switch the aliases to it.
+ *
+ * Search keeps reading the current version until the copy is complete, then the read alias is switched
+ * atomically, so there is no downtime. See index/shared/aliases.js for the steps & their caveats.
+ * The previous version is kept for rollback unless `--delete-old` is given.
+ *
+ * The same environment variables as the indexer must be set: ES_ENDPOINT & ES_VERSION.
+ */
+
+// Load Dependencies:
+const colors = require('colors');
+
+// Config colors
+colors.setTheme({
+  default: ['cyan', 'bold', 'bgBlack'],
+  bad: ['red', 'bold', 'underline', 'bgWhite']
+});
+
+const command = process.argv[2];
+const site    = process.argv[3];
+
+if (!site) exit('Usage: node reindex.js status <site> | run <site> [--delete-old]');
+if (!process.env.ES_ENDPOINT || !process.env.ES_VERSION) exit('Please set ES_ENDPOINT and ES_VERSION.');
+
+// Load the indexer classes after checking the environment, as they require it:
+const Index   = require('../index/shared/index');
+const index   = new Index(process.env.ES_ENDPOINT, process.env.ES_VERSION);
+const aliases = index.aliases;
+
+switch (command) {
+  case 'status':
+    status(site);
+    break;
+  case 'run':
+    run(site, process.argv.indexOf('--delete-old') !== -1);
+    break;
+  default:
+    exit('Usage: node reindex.js status <site> | run <site> [--delete-old]');
+}
+
+/**
+ * Print the site's index versions, and the indices behind its aliases.
+ */
+function status(site) {
+  aliases.resolve(site)
+    .then(state => {
+      if (state.legacy) console.log('%s is a plain index, it will be replaced by the read alias on its first reindex.'.default, site);
+      console.log('Versions: %s', state.versions.length ? state.versions.map(v => aliases.versionName(site, v)).join(', ') : 'none');
+      console.log('%s -> %s', aliases.readAlias(site), state.read.join(', ') || (state.legacy ? '(plain index)' : 'none'));
+      console.log('%s -> %s', aliases.writeAlias(site), state.write.join(', ') || 'none');
+  }).catch(e => {
+    exit('There was an error reading the indices of ' +site+ ' - ', e);
+  });
+}
+
+/**
+ * Reindex the site into a new version with the current template.
+ */
+function run(site, deleteOld) {
+  console.log('Installing the index template');
+  index.templates.ensure()
+    .then(() => aliases.reindex(site, {deleteOld: deleteOld, progress: message => console.log(message)}))
+    .then(result => {
+      console.log('Reindexed %s into %s - %d of %d document(s) copied, %d newer document(s) kept.'.default,
+        result.source, result.target, result.status.created, result.status.total, result.status.version_conflicts);
+      process.exit(0);
+  }).catch(e => {
+    exit('There was an error reindexing ' +site+ ' - ', e);
+  });
+}
+
+/**
+ * Print an error & exit.
+ */
+function exit(message, e) {
+  console.log(message.bad, e || '');
+  process.exit(1);
+}
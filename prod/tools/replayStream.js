@@ -0,0 +1,142 @@
+/**
+ * Replays DynamoDB stream records through the indexer handler locally, to reproduce indexing bugs.
+ *
+ * Usage:
+ *  node replayStream.js <file> [options]       - Replay the records in a JSON or NDJSON file.
+ *  node replayStream.js --generate [table]     - Print sample NDJSON records, for one table or all six.
+ *
+ * The file may contain a Lambda event (`{"Records": [...]}`), a JSON array of records,
+ * or one record per line (NDJSON).
+ *
+ * Options:
+ *  --es <url>          - The ElasticSearch endpoint,        defaults to ES_ENDPOINT or http://localhost:9200.
+ *  --es-version <v>    - The ElasticSearch API version,     defaults to ES_VERSION or 6.0.
+ *  --api <url>         - The ViewLift API base URL,         defaults to VL_API_URL or the stage API.
+ *  --stage <stage>     - The development stage (develop, release, prod), defaults to STAGE or develop.
+ *  --site <site>       - The site of generated records,     defaults to snagfilms.
+ *  --dry-run           - Don't modify ElasticSearch, log the documents that would be indexed instead.
+ *
+ * Records that fail to index are dead-lettered to DEAD_LETTER_BUCKET or DEAD_LETTER_DIR,
+ * defaulting to a `deadletter` directory in the OS temp directory.
+ */
+
+// Load Dependencies:
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+// Sample DynamoDB images for each table the indexer handler understands:
+const SAMPLES = {
+  CONTENT_METADATA: {objectKey: {S: 'video'}, status: {S: 'open'}},
+  SERIES: {
+    showDetails: {M: {status: {S: 'open'}}},
+    gist:        {M: {title: {S: 'Sample Series'}, description: {S: 'A sample series.'}, publishDate: {N: String(Date.now())}}}
+  },
+  ARTICLE:      {contentType: {S: 'ARTICLE'}, contentStatus: {S: 'open'}},
+  EVENT:        {contentType: {S: 'EVENT'},   contentStatus: {S: 'open'}},
+  AUDIO:        {contentType: {S: 'AUDIO'},   contentStatus: {S: 'open'}},
+  PHOTOGALLERY: {contentType: {S: 'IMAGE'},   contentStatus: {S: 'open'}}
+};
+
+//** Parse Arguments **//
+const args    = process.argv.slice(2);
+const options = {};
+const files   = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i].indexOf('--') === 0) {
+    const flag = args[i].slice(2);
+    const next = args[i + 1];
+    if (flag === 'dry-run') {
+      options[flag] = true;
+    } else if (flag === 'generate') {
+      options[flag] = (next && next.indexOf('--') !== 0) ? args[++i] : 'all';
+    } else {
+      options[flag] = args[++i];
+    }
+  } else {
+    files.push(args[i]);
+  }
+}
+const stage = options.stage || process.env.STAGE || 'develop';
+const site  = options.site || 'snagfilms';
+
+if (options.generate) {
+  generate(options.generate);
+} else if (files.length === 1) {
+  replay(files[0]);
+} else {
+  console.log('Usage: node replayStream.js <file> [--es <url>] [--es-version <v>] [--api <url>] [--stage <stage>] [--dry-run]');
+  console.log('       node replayStream.js --generate [table] [--stage <stage>] [--site <site>]');
+  process.exit(1);
+}
+
+/**
+ * Print sample stream records as NDJSON, for one table or all of them.
+ */
+function generate(table) {
+  const tables = table === 'all' ? Object.keys(SAMPLES) : [table.toUpperCase()];
+  tables.forEach((table, i) => {
+    if (!SAMPLES[table]) {
+      console.error('Unknown table %s, expected one of %s', table, Object.keys(SAMPLES).join(', '));
+      process.exit(1);
+    }
+    const name = stage.toUpperCase() + '.CONTENT.' + table;
+    console.log(JSON.stringify({
+      eventID:        'sample-' + (i + 1),
+      eventName:      'INSERT',
+      eventSource:    'aws:dynamodb',
+      eventSourceARN: 'arn:aws:dynamodb:us-east-1:000000000000:table/' + name + '/stream/sample',
+      dynamodb: {
+        ApproximateCreationDateTime: Math.floor(Date.now() / 1000),
+        Keys:           {site: {S: site}, id: {S: 'sample-' + table.toLowerCase()}},
+        NewImage:       Object.assign({site: {S: site}, id: {S: 'sample-' + table.toLowerCase()}}, SAMPLES[table]),
+        SequenceNumber: String(i + 1),
+        StreamViewType: 'NEW_AND_OLD_IMAGES'
+      }
+    }));
+  });
+}
+
+/**
+ * Read the records in a file & invoke the indexer handler with them.
+ */
+function replay(file) {
+  let records;
+  try {
+    records = parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error('Error reading records from %s - ', file, e.message || e);
+    process.exit(1);
+  }
+  // Configure the indexer environment before loading it, as it reads its environment on load:
+  process.env.STAGE       = stage;
+  process.env.ES_ENDPOINT = options.es || process.env.ES_ENDPOINT || 'http://localhost:9200';
+  process.env.ES_VERSION  = options['es-version'] || process.env.ES_VERSION || '6.0';
+  if (options.api)        process.env.VL_API_URL = options.api;
+  if (options['dry-run']) process.env.DRY_RUN    = 'true';
+  if (!process.env.DEAD_LETTER_BUCKET && !process.env.DEAD_LETTER_DIR) process.env.DEAD_LETTER_DIR = path.join(os.tmpdir(), 'deadletter');
+  const handler = require('../index/handler').handler;
+  handler({Records: records}, {awsRequestId: 'local-' + Date.now()}, (err, res) => {
+    if (err) {
+      console.error('Handler failed - ', err);
+      process.exit(1);
+    }
+    console.log(JSON.stringify(res));
+    process.exit(res.batchItemFailures.length ? 1 : 0);
+  });
+}
+
+/**
+ * Parse stream records from a Lambda event, a JSON array, or NDJSON.
+ */
+function parse(contents) {
+  contents = contents.trim();
+  try {
+    const json = JSON.parse(contents);
+    if (Array.isArray(json)) return json;
+    if (json.Records) return json.Records;
+    return [json]; // A single record
+  } catch (e) {
+    return contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+}
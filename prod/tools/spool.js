@@ -0,0 +1,170 @@
+/**
+ * Lists and drains the operations the indexer spooled while ElasticSearch was unavailable.
+ *
+ * Usage:
+ *  node spool.js list    - List all spooled operations, in spool order.
+ *  node spool.js drain   - Write the spooled operations in spool order, once the cluster is healthy.
+ *  node spool.js check   - Check spooling & draining against a local stub ElasticSearch endpoint, that is
+ *                          unavailable & then healthy, with a temporary spool. Needs no environment variables.
+ *
+ * The indexer also drains the spool before writing each batch. Draining stops if the cluster becomes
+ * unavailable again, and operations that fail for any other reason are left in the spool; see
+ * index/shared/spool.js. Point ES_ENDPOINT at a stub ElasticSearch endpoint to try a drain safely.
+ *
+ * The same environment variables as the indexer must be set: ES_ENDPOINT, ES_VERSION, and SPOOL_BUCKET
+ * or SPOOL_DIR.
+ */
+
+// Load Dependencies:
+const colors = require('colors');
+
+// Config colors
+colors.setTheme({
+  default: ['cyan', 'bold', 'bgBlack'],
+  bad: ['red', 'bold', 'underline', 'bgWhite']
+});
+
+const command = process.argv[2];
+
+// Load the indexer classes:
+const Index = require('../index/shared/index');
+const Spool = require('../index/shared/spool');
+const Sink  = require('../index/shared/sink');
+let index;
+
+switch (command) {
+  case 'list':
+    index = configured();
+    list();
+    break;
+  case 'drain':
+    index = configured();
+    drain();
+    break;
+  case 'check':
+    check();
+    break;
+  default:
+    exit('Usage: node spool.js list | drain | check');
+}
+
+/**
+ * Instantiate the indexer's Index class, with its configured ElasticSearch endpoint & spool.
+ */
+function configured() {
+  if (!process.env.ES_ENDPOINT || !process.env.ES_VERSION || !(process.env.SPOOL_BUCKET || process.env.SPOOL_DIR)) {
+    exit('Please set ES_ENDPOINT, ES_VERSION, and SPOOL_BUCKET or SPOOL_DIR.');
+  }
+  return new Index(process.env.ES_ENDPOINT, process.env.ES_VERSION);
+}
+
+/**
+ * Print the key, operation and error of every spooled operation.
+ */
+function list() {
+  index.spool.list()
+    .then(keys => {
+      if (!keys.length) return console.log('No spooled operations found.'.default);
+      return Promise.all(keys.map(key => index.spool.get(key)))
+        .then(records => {
+          records.forEach((record, i) => {
+            console.log('%s  %s %s/%s  spooled: %s  error: %s', keys[i], record.op.action, record.op.index, record.op.id, record.spooledAt, record.error.message);
+          });
+          console.log('%d spooled operation(s) found.'.default, keys.length);
+      });
+  }).catch(e => {
+    exit('There was an error listing spooled operations - ', e);
+  });
+}
+
+/**
+ * Drain the spool.
+ */
+function drain() {
+  index.drain()
+    .then(count => {
+      console.log('Drained %d operation(s), %d failed, %d remaining.'.default, count.drained, count.failed, count.remaining);
+      process.exit(count.remaining ? 1 : 0);
+  }).catch(e => {
+    exit('There was an error draining the spool - ', e);
+  });
+}
+
+/**
+ * Write two inserts while a stub ElasticSearch endpoint is unavailable, & check that both are spooled,
+ * that a drain leaves them spooled while it is still unavailable, and that once it is healthy, a drain
+ * writes them in spool order & empties the spool.
+ */
+function check() {
+  const http  = require('http');
+  const os    = require('os');
+  const fs    = require('fs');
+  const path  = require('path');
+  const dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-check-'));
+  const ops   = ['1234-abcd', '5678-efgh'].map((id, i) => ({action: 'INSERT', index: 'check', id: id, doc: {type: 'video', videoTitle: id}, version: 1522584000499660 + i}));
+  const bulks = []; // The document IDs of each `_bulk` request the stub received
+  let available = false;
+  //** Stub ElasticSearch Endpoint, Unavailable until `available` is Set **//
+  const stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const send = (status, response) => {
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(response));
+      };
+      if (!available) return send(503, {error: {type: 'unavailable_exception', reason: 'Stub is unavailable'}, status: 503});
+      if (/\/_cluster\/health/.test(req.url)) return send(200, {status: 'green'});
+      if (/\/_alias/.test(req.url)) return send(200, {content_check_v1: {aliases: {check: {}, check_write: {}}}});
+      if (/\/_mget/.test(req.url)) return send(200, {docs: JSON.parse(body).docs.map(doc => ({_index: doc._index, _id: doc._id, found: false}))});
+      if (/\/_bulk/.test(req.url)) {
+        const items = body.split('\n').filter(line => line).map(line => JSON.parse(line)).filter(line => line.index).map(line => line.index._id);
+        bulks.push(items);
+        return send(200, {took: 1, errors: false, items: items.map(id => ({index: {_id: id, status: 201, result: 'created'}}))});
+      }
+      send(400, {error: {type: 'unsupported_request', reason: req.method+ ' ' +req.url}, status: 400});
+    });
+  });
+  const assert = (passed, message) => {
+    if (!passed) throw 'Check failed - ' +message;
+    console.log('OK  %s', message);
+  };
+  stub.listen(0, 'localhost', () => {
+    index        = new Index('http://localhost:' +stub.address().port, process.env.ES_VERSION || '6.2');
+    index.dryRun = false;
+    index.spool  = new Spool(new Sink(dir));
+    index.bulk(ops)
+      .then(results => {
+        assert(results.every(result => result.ok && result.spooled), 'Writes are spooled while the cluster is unavailable');
+        return index.drain().then(() => null, e => e);
+    }).then(e => {
+      assert(!!e, 'A drain fails while the cluster is unavailable');
+      return index.spool.list();
+    }).then(keys => {
+      assert(keys.length === ops.length, 'The spool keeps every operation until the cluster is healthy');
+      available = true;
+      return index.drain();
+    }).then(count => {
+      assert(count.drained === ops.length && !count.failed && !count.remaining, 'A drain writes every operation once the cluster is healthy');
+      assert(JSON.stringify([].concat.apply([], bulks)) === JSON.stringify(ops.map(op => op.id)), 'Operations are written in spool order');
+      return index.spool.list();
+    }).then(keys => {
+      assert(!keys.length, 'The spool is empty once drained');
+      fs.rmdirSync(dir);
+      console.log('Spool check passed.'.default);
+      stub.close();
+      process.exit(0);
+    }).catch(e => {
+      stub.close();
+      exit('There was an error checking the spool - ', e);
+    });
+  });
+}
+
+/**
+ * Print an error & exit.
+ */
+function exit(message, e) {
+  console.log(message.bad, e || '');
+  process.exit(1);
+}
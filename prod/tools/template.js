@@ -0,0 +1,119 @@
+/**
+ * Shows & installs the index template applied to new versioned site indices.
+ *
+ * Usage:
+ *  node template.js status                 - Compare the installed template version with the current one.
+ *  node template.js install [--force]      - Install or upgrade the template, if the installed version differs.
+ *  node template.js drift [site] [--fix]   - Compare the settings & mappings of live site indices with the current
+ *                                            template, and put the mappings that can be fixed in place with `--fix`.
+ *
+ * Run `install` on deploy. Installing the template doesn't change existing site indices; run
+ * `tools/reindex.js` for each site to rebuild it with the new template. Each indexer container also
+ * installs or upgrades the template once, before its first batch. `drift` shows which differences need that reindex, see index/shared/drift.js.
+ *
+ * The same environment variables as the indexer must be set: ES_ENDPOINT & ES_VERSION.
+ */
+
+// Load Dependencies:
+const colors = require('colors');
+
+// Config colors
+colors.setTheme({
+  default: ['cyan', 'bold', 'bgBlack'],
+  bad: ['red', 'bold', 'underline', 'bgWhite']
+});
+
+const command = process.argv[2];
+const fix     = process.argv.indexOf('--fix') !== -1;
+
+if (!process.env.ES_ENDPOINT || !process.env.ES_VERSION) exit('Please set ES_ENDPOINT and ES_VERSION.');
+
+// Load the indexer classes after checking the environment, as they require it:
+const Index     = require('../index/shared/index');
+const index     = new Index(process.env.ES_ENDPOINT, process.env.ES_VERSION);
+const templates = index.templates;
+
+switch (command) {
+  case 'status':
+    status();
+    break;
+  case 'install':
+    install(process.argv.indexOf('--force') !== -1);
+    break;
+  case 'drift':
+    drift(process.argv[3] && process.argv[3].indexOf('--') !== 0 ? process.argv[3] : null, fix);
+    break;
+  default:
+    exit('Usage: node template.js status | install [--force] | drift [site] [--fix]');
+}
+
+/**
+ * Print the installed & current template versions.
+ */
+function status() {
+  const current = templates.body();
+  templates.installed()
+    .then(installed => {
+      console.log('Template:  %s (%s)', templates.name, current.index_patterns.join(', '));
+      console.log('Current:   %d', current.version);
+      console.log('Installed: %s', installed ? installed.version : 'none');
+      if (!installed || installed.version !== current.version) console.log('The installed template is out of date.'.bad);
+  }).catch(e => {
+    exit('There was an error reading the template - ', e);
+  });
+}
+
+/**
+ * Install or upgrade the template.
+ */
+function install(force) {
+  templates.install(force)
+    .then(result => {
+      if (!result.installed) return console.log('Template version %d is already installed.'.default, result.version);
+      console.log('Installed template version %d, replacing %s.'.default, result.version, result.previous || 'none');
+  }).catch(e => {
+    exit('There was an error installing the template - ', e);
+  });
+}
+
+/**
+ * Print the differences between the live indices & the template, and fix those that can be fixed in place.
+ */
+function drift(site, fix) {
+  index.drift.check(site)
+    .then(results => {
+      if (!results.length) return console.log('No site indices found.'.default);
+      results.forEach(result => {
+        if (!result.drift.length) return console.log('%s matches the template.'.default, result.index);
+        console.log('%s differs from the template:'.bad, result.index);
+        result.drift.forEach(d => {
+          console.log('  %s  %s  expected %s, found %s  (%s)', d.kind, d.field, format(d.expected), format(d.actual), d.fix);
+        });
+      });
+      if (!fix) return;
+      return results.filter(result => result.drift.length).reduce((chain, result) => chain
+        .then(() => index.drift.fix(result))
+        .then(fixed => {
+          if (fixed.fixed.length) console.log('Put the mappings of %s on %s.'.default, fixed.fixed.join(', '), fixed.index);
+          if (fixed.skipped.length) console.log('Skipped %s on %s, they need a reindex.'.bad, fixed.skipped.join(', '), fixed.index);
+        }), Promise.resolve());
+  }).catch(e => {
+    exit('There was an error checking the indices for drift - ', e);
+  });
+}
+
+/**
+ * Format a mapping or setting value for printing.
+ */
+function format(value) {
+  if (value === null || value === undefined) return 'none';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Print an error & exit.
+ */
+function exit(message, e) {
+  console.log(message.bad, e || '');
+  process.exit(1);
+}